@@ -0,0 +1,60 @@
+// Screen reader and spoken announcements (browser only)
+//
+// The status line changes every frame (calibration percentages, coaching),
+// which is too much to read out. The session announces only what a user who
+// can't see the page needs: the next challenge, a cue, a problem, the
+// verdict. Each announcement goes to the page's live region through the
+// `announce` UI hook and, with speech on, to speechSynthesis. A repeat of the
+// last text is dropped.
+export class Announcer {
+  // hook(text, priority): writes to an ARIA live region
+  constructor(hook = null, config = {}) {
+    this.hook = hook;
+    this.config = {
+      speech: false,            // also speak announcements
+      lang: null,               // utterance language; null follows the page
+      rate: 1,                  // speaking rate
+      ...config
+    };
+    this.last = null;
+  }
+
+  get canSpeak() {
+    return typeof speechSynthesis !== "undefined" && typeof SpeechSynthesisUtterance === "function";
+  }
+
+  // priority: "polite" waits for the reader to finish, "assertive"
+  // interrupts it (prompts the user has to act on, verdicts)
+  announce(text, priority = "polite") {
+    if (!text || text === this.last) return;
+    this.last = text;
+    this.hook?.(text, priority);
+    if (this.config.speech) this.speak(text, priority === "assertive");
+  }
+
+  // Says the last announcement again (keyboard shortcut, see the demo page)
+  repeat() {
+    if (!this.last) return;
+    this.hook?.(this.last, "assertive");
+    if (this.config.speech) this.speak(this.last, true);
+  }
+
+  speak(text, interrupt = false) {
+    if (!this.canSpeak) return;
+    if (interrupt) speechSynthesis.cancel();
+    const utterance = new SpeechSynthesisUtterance(text);
+    if (this.config.lang) utterance.lang = this.config.lang;
+    utterance.rate = this.config.rate;
+    speechSynthesis.speak(utterance);
+  }
+
+  setSpeech(on) {
+    this.config.speech = !!on;
+    if (!on && this.canSpeak) speechSynthesis.cancel();
+  }
+
+  reset() {
+    this.last = null;
+    if (this.canSpeak) speechSynthesis.cancel();
+  }
+}
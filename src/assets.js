@@ -0,0 +1,112 @@
+// Model + WASM asset loading.
+// Every location is configurable so deployments can self-host the
+// tasks-vision bundle, the wasm directory and the .task model (strict CSP,
+// offline kiosks). The model can be pinned with a SHA-256 digest.
+
+export const DEFAULT_ASSETS = {
+  visionBundle: "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14",
+  wasmBase: "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/wasm",
+  model: "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task",
+  modelSha256: null,       // hex digest; when set the model must match it
+  serviceWorker: null      // e.g. "sw.js" to precache the assets for offline use
+};
+
+// Files FilesetResolver loads from the wasm directory (SIMD + fallback builds)
+export const WASM_FILES = [
+  "vision_wasm_internal.js",
+  "vision_wasm_internal.wasm",
+  "vision_wasm_nosimd_internal.js",
+  "vision_wasm_nosimd_internal.wasm"
+];
+
+// Raised for any failure while fetching or preparing the face models.
+// `stage` is one of "bundle", "wasm", "model", "integrity".
+export class ModelLoadError extends Error {
+  constructor(stage, message, cause) {
+    super(message);
+    this.name = "ModelLoadError";
+    this.stage = stage;
+    this.cause = cause;
+  }
+}
+
+const joinUrl = (base, file) => `${base.replace(/\/+$/, "")}/${file}`;
+
+export function assetUrls(assets) {
+  return [assets.visionBundle, ...WASM_FILES.map(f => joinUrl(assets.wasmBase, f)), assets.model];
+}
+
+// Bundle imports and filesets are shared across sessions per URL
+const bundleCache = new Map();
+const filesetCache = new Map();
+
+function cached(cache, key, load) {
+  if (!cache.has(key)) {
+    cache.set(key, load().catch((err) => {
+      cache.delete(key); // allow a retry on the next start()
+      throw err;
+    }));
+  }
+  return cache.get(key);
+}
+
+export function loadVisionBundle(assets) {
+  return cached(bundleCache, assets.visionBundle, async () => {
+    try {
+      return await import(assets.visionBundle);
+    } catch (err) {
+      throw new ModelLoadError("bundle", `Could not load the vision library from ${assets.visionBundle}`, err);
+    }
+  });
+}
+
+export function loadFileset(assets) {
+  return cached(filesetCache, assets.wasmBase, async () => {
+    const { FilesetResolver } = await loadVisionBundle(assets);
+    try {
+      return await FilesetResolver.forVisionTasks(assets.wasmBase);
+    } catch (err) {
+      throw new ModelLoadError("wasm", `Could not load the vision runtime from ${assets.wasmBase}`, err);
+    }
+  });
+}
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, "0")).join("");
+
+export async function sha256Hex(bytes) {
+  return toHex(await crypto.subtle.digest("SHA-256", bytes));
+}
+
+// Fetches the .task model and checks it against assets.modelSha256
+export async function loadModel(assets) {
+  let bytes;
+  try {
+    const res = await fetch(assets.model);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    bytes = new Uint8Array(await res.arrayBuffer());
+  } catch (err) {
+    throw new ModelLoadError("model", `Could not download the face model from ${assets.model}`, err);
+  }
+  if (assets.modelSha256) {
+    const digest = await sha256Hex(bytes);
+    if (digest !== assets.modelSha256.toLowerCase()) {
+      throw new ModelLoadError("integrity", `Face model integrity check failed (got sha256 ${digest})`);
+    }
+  }
+  return bytes;
+}
+
+// Registers the precaching service worker; the asset list travels in the
+// script URL so the worker can cache everything at install time.
+export async function registerAssetServiceWorker(assets) {
+  if (!assets.serviceWorker || !("serviceWorker" in navigator)) return null;
+  const url = new URL(assets.serviceWorker, location.href);
+  for (const asset of assetUrls(assets)) url.searchParams.append("asset", new URL(asset, location.href).href);
+  try {
+    return await navigator.serviceWorker.register(url.href);
+  } catch (err) {
+    // Offline support is best effort; the online path keeps working
+    console.warn("Asset service worker registration failed:", err);
+    return null;
+  }
+}
@@ -0,0 +1,108 @@
+// Attempt limits across sessions (browser storage, no DOM)
+//
+// A genuine user who misses a step gets it prompted again inside the same
+// attempt (see `stepRetries` in policy.js); an attempt that still fails
+// counts here. Each failure starts a cooldown that doubles with every
+// failure after it, and `maxAttempts` failures lock verification for
+// `lockoutMs`. Spoof verdicts count `spoofWeight` times, so repeated spoofing
+// runs into the lockout sooner than bad luck does. The failures since the
+// last verified attempt, lockouts included, are the escalation level the
+// next attempt's policy is issued with (see policy.js).
+//
+// The record is kept in localStorage, so a reload doesn't reset it. A backend
+// has to keep its own count too: anyone can clear their storage.
+const STORAGE_KEY = "liveness.attempts";
+
+// Verdicts that count as failed attempts; "review" and "stopped" don't
+const FAILURES = ["timeout", "spoof"];
+
+function defaultStorage() {
+  try {
+    return typeof localStorage !== "undefined" ? localStorage : null;
+  } catch (e) {
+    // Storage blocked (sandboxed frame): keep the record for this page only
+    return null;
+  }
+}
+
+export class AttemptTracker {
+  // storage: anything with getItem/setItem/removeItem; null keeps the record in memory
+  constructor(config = {}, storage = defaultStorage()) {
+    this.config = {
+      maxAttempts: 3,           // failed attempts before the lockout
+      spoofWeight: 2,           // a spoof verdict counts as this many failed attempts
+      cooldownMs: 15000,        // wait after the first failure, doubled for each one after it
+      lockoutMs: 15 * 60 * 1000, // wait once maxAttempts is reached; the count then starts over
+      forgetAfterMs: 24 * 60 * 60 * 1000, // failures older than this no longer count
+      historySize: 10,          // attempts kept with their verdict and reason
+      ...config
+    };
+    this.storage = storage;
+    this.memory = null;
+  }
+
+  load(now = Date.now()) {
+    let record = this.memory;
+    try {
+      const raw = this.storage?.getItem(STORAGE_KEY);
+      if (raw) record = JSON.parse(raw);
+    } catch (e) { /* unreadable: start over */ }
+    record ??= { failures: 0, level: 0, lastFailureAt: 0, until: 0, locked: false, history: [] };
+    if (record.level && now - record.lastFailureAt > this.config.forgetAfterMs) {
+      record = { ...record, failures: 0, level: 0 };
+    }
+    return record;
+  }
+
+  save(record) {
+    this.memory = record;
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(record));
+    } catch (e) { /* ignore */ }
+  }
+
+  // { allowed, locked, waitMs, failures, remaining, escalation, last }:
+  // whether an attempt may start now, and if not for how long not. `last` is
+  // the latest attempt ({ at, verdict, reason }) or null.
+  status(now = Date.now()) {
+    const record = this.load(now);
+    const waitMs = Math.max(0, record.until - now);
+    return {
+      allowed: waitMs === 0,
+      locked: waitMs > 0 && record.locked,
+      waitMs,
+      failures: record.failures,
+      remaining: Math.max(0, this.config.maxAttempts - record.failures),
+      escalation: record.level,
+      last: record.history[record.history.length - 1] ?? null
+    };
+  }
+
+  // Records a finished attempt and returns the status after it
+  record(verdict, reason = null, now = Date.now()) {
+    const record = this.load(now);
+    const c = this.config;
+    record.history = [...record.history, { at: now, verdict, reason }].slice(-c.historySize);
+    if (verdict === "verified") {
+      Object.assign(record, { failures: 0, level: 0, until: 0, locked: false });
+    } else if (FAILURES.includes(verdict)) {
+      const weight = verdict === "spoof" ? c.spoofWeight : 1;
+      record.failures += weight;
+      record.level += weight;
+      record.lastFailureAt = now;
+      record.locked = record.failures >= c.maxAttempts;
+      record.until = now + (record.locked ? c.lockoutMs : c.cooldownMs * 2 ** (record.failures - 1));
+      // After a lockout the attempts start over; the escalation stays
+      if (record.locked) record.failures = 0;
+    }
+    this.save(record);
+    return this.status(now);
+  }
+
+  clear() {
+    this.memory = null;
+    try {
+      this.storage?.removeItem(STORAGE_KEY);
+    } catch (e) { /* ignore */ }
+  }
+}
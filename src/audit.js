@@ -0,0 +1,118 @@
+// Session audit report (pure, no DOM)
+//
+// A record of one verification decision for compliance, built when a run
+// ends (see the "report" event and exportReport() on the session). It holds
+// settings and measurements only, never pixels or landmarks:
+//   {
+//     "format": "liveness-audit",
+//     "version": 1,
+//     "createdAt": "<ISO 8601>",
+//     "nonce": "<server nonce>" | null,
+//     "locale": "en",
+//     "device": { "userAgent", "languages": ["en-US"], "hardwareConcurrency": 8,
+//                 "screen": { "width": 1920, "height": 1080, "pixelRatio": 2 } } | null,
+//     "camera": { "label": "FaceTime HD Camera", "width": 640, "height": 480,
+//                 "frameRate": 30, "facingMode": "user" | null, "resizeMode": "none" | null } | null,
+//     "policy": { "draw": 3, "escalation": 0, "timeScale": 1,
+//                 "accessibility": { "avoid": ["head"], "timeScale": 2 } | null,
+//                 "requirePulse": false, "timeLimitSec": 45 },
+//     "calibration": { "earThreshold": 0.21, "baseYaw": -2.4 } | null,
+//     "challenges": [{
+//       "index": 0, "type": "turnLeft", "params": { ... }, "timeoutSec": 12,
+//       "startMs": 1840, "endMs": 3920,       // since the first frame; null if it never started
+//       "durationMs": 2010,                   // active time, quality holds left out
+//       "outcome": "passed" | "inconclusive" | "suspicious" | null,
+//       "retries": 0,                         // times it was prompted again after a timeout
+//       "finding": <reason code|null>,
+//       "baseline": -2.1 | null,              // neutral value (degrees for head movements)
+//       "peak": 1.6 | null,                   // largest response change, 1 = the full action
+//       "reaction": { "latencyMs": 420, "flag": <reason code|null> } | null
+//     }, ...],
+//     "signals": {
+//       "motionEnergy": 3.4, "earVariance": 0.0004, "blinks": 4,
+//       "screenReplay": 0.12 | null, "pulse": 0.8 | null, "bpm": 72 | null,
+//       "injection": { "score": 1, "reasons": [] } | null,
+//       "frameRate": { "fps": 29.7, "frames": 410, "dropped": 3, "low": false } | null
+//     },
+//     "decision": {
+//       "verdict": "verified" | "review" | "spoof" | "timeout" | "stopped",
+//       "reason": <reason code|null>,
+//       "risk": { "score": 0.83, "band": "accept", "reasons": [], "findings": [] } | null,
+//       "durationMs": 14210
+//     }
+//   }
+// Reason codes are listed in messages.js (reason.*). A change that renames or
+// drops a field, or changes its meaning, bumps AUDIT_VERSION; added fields
+// don't.
+export const AUDIT_FORMAT = "liveness-audit";
+export const AUDIT_VERSION = 1;
+
+const round = (v, digits = 3) => (typeof v === "number" && isFinite(v) ? Number(v.toFixed(digits)) : null);
+
+function challengeEntry(c, index, origin) {
+  const since = (t) => (typeof t === "number" && origin !== null ? round(t - origin, 0) : null);
+  return {
+    index,
+    type: c.key,
+    params: c.params,
+    timeoutSec: c.timeoutSec,
+    startMs: since(c.startedAt),
+    endMs: since(c.endedAt),
+    durationMs: round(c.durationMs, 0),
+    outcome: c.done ? c.outcome || "passed" : null,
+    retries: c.retried ?? 0,
+    finding: c.finding ?? null,
+    baseline: round(c.baseline),
+    peak: round(c.peak),
+    reaction: c.reaction ? { latencyMs: round(c.reaction.latencyMs, 0), flag: c.reaction.flag ?? null } : null
+  };
+}
+
+// Report from the end state of a run. `detector` is the run's
+// ChallengeDetector, `spoof` its SpoofAnalyzer summary; device and camera are
+// what the page could read (see the session's deviceInfo() and cameraInfo()).
+export function auditReport({
+  nonce = null, locale = "en", device = null, camera = null, policy, detector, spoof,
+  screenReplay = null, pulse = null, injection = null, risk = null, verdict, reason = null, durationMs,
+  createdAt = new Date()
+}) {
+  const origin = detector.firstTimestamp;
+  const frameRate = detector.frameRate.summary();
+  return {
+    format: AUDIT_FORMAT,
+    version: AUDIT_VERSION,
+    createdAt: createdAt.toISOString(),
+    nonce,
+    locale,
+    device,
+    camera,
+    policy: {
+      draw: policy.draw,
+      escalation: policy.escalation ?? 0,
+      timeScale: policy.timeScale ?? 1,
+      accessibility: policy.accessibility ?? null,
+      requirePulse: !!policy.requirePulse,
+      timeLimitSec: policy.timeLimitSec ?? null
+    },
+    calibration: detector.calibrated
+      ? { earThreshold: round(detector.earThreshold, 4), baseYaw: round(detector.baseYaw, 2) }
+      : null,
+    challenges: detector.sequence.map((c, i) => challengeEntry(c, i, origin)),
+    signals: {
+      motionEnergy: round(spoof.motion),
+      earVariance: round(spoof.earSpread ** 2, 6),
+      blinks: spoof.blinks,
+      screenReplay: round(screenReplay?.score),
+      pulse: round(pulse?.score),
+      bpm: round(pulse?.bpm, 0),
+      injection: injection ? { score: round(injection.score), reasons: injection.reasons } : null,
+      frameRate: { ...frameRate, fps: round(frameRate.fps, 1) }
+    },
+    decision: {
+      verdict,
+      reason: reason ?? null,
+      risk: risk ? { score: round(risk.score), band: risk.band, reasons: risk.reasons, findings: risk.findings ?? [] } : null,
+      durationMs: round(durationMs, 0)
+    }
+  };
+}
@@ -0,0 +1,61 @@
+// Camera access (browser only)
+//
+// Opens the camera with constraint fallbacks and remembers the camera the
+// user picked. Errors are the getUserMedia DOMExceptions; the session turns
+// them into messages (see LivenessSession.start()).
+
+const STORAGE_KEY = "liveness.cameraId";
+
+// Constraint sets tried in order; an OverconstrainedError moves on to the
+// next, looser one. A remembered camera that is gone (unplugged) falls back
+// to the front camera.
+export function cameraConstraints(deviceId = null) {
+  const source = deviceId ? { deviceId: { exact: deviceId } } : { facingMode: "user" };
+  const ladder = [
+    { ...source, width: { ideal: 640, max: 1280 }, height: { ideal: 480, max: 720 } },
+    { ...source, width: { ideal: 640 }, height: { ideal: 480 } },
+    source
+  ];
+  if (deviceId) ladder.push({ facingMode: "user" });
+  return ladder;
+}
+
+export async function openCamera(deviceId = null) {
+  let lastError = null;
+  for (const video of cameraConstraints(deviceId)) {
+    try {
+      return await navigator.mediaDevices.getUserMedia({ video, audio: false });
+    } catch (err) {
+      if (err.name !== "OverconstrainedError") throw err;
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+// Video inputs as [{ deviceId, label }]. Browsers leave the labels empty
+// until camera access has been granted once; `unnamed(number)` names those.
+export async function listCameras(unnamed = (n) => `Camera ${n}`) {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(d => d.kind === "videoinput")
+    .map((d, i) => ({ deviceId: d.deviceId, label: d.label || unnamed(i + 1) }));
+}
+
+// Storage can be blocked (private mode, sandboxed frames); the choice is
+// then only kept for this page
+export function recallCamera() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch (e) {
+    return null;
+  }
+}
+
+export function rememberCamera(deviceId) {
+  try {
+    if (deviceId) localStorage.setItem(STORAGE_KEY, deviceId);
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch (e) { /* ignore */ }
+}
@@ -0,0 +1,367 @@
+// Challenge type registry (pure, no DOM)
+//
+// Each type describes how one action is detected:
+//   defaults           - tunable parameters, overridable per policy entry
+//   hint               - where the on-canvas prompt goes: { at: "top" | "left" | "right" }
+//   init(detector)     - per-challenge scratch state, created when it starts
+//   update(state, params, metrics, detector) - returns true once satisfied
+//   progress(state, params, detector)        - 0..1 for the progress bar
+//   verify(state, params)  - optional; once satisfied, returns a spoof reason code
+//                            if the action was performed by something fake
+//   prepare(params, random)              - optional; fills randomized params
+//                                          when the challenge is drawn
+//   display(state, params, detector, t)  - optional; what the page has to show
+//                                          now ({ color, opacity, fadeMs } or null)
+//   hold(state)            - optional; called on frames the quality gate holds
+//   response(metrics, params) - optional; the signal the action moves, scaled
+//                            so the full action is a change of about 1 (null
+//                            when unmeasured). Used to time the reaction to
+//                            the prompt (see reaction.js); involuntary or
+//                            passive actions like blinks leave it out.
+//   movesHead              - true when the action needs a non-frontal pose, so
+//                            the quality gate skips its pose check
+//   needs                  - abilities the action takes: "head" (moving the
+//                            head), "face" (facial expressions), "eyes"
+//                            (closing the eyes at will); accessibility
+//                            profiles swap out types needing what a user can't do
+//   strength               - how hard the action is to fake, 1..3; a swapped
+//                            type is replaced by one at least as strong (see policy.js)
+//
+// The texts of a type are in the message catalog (see messages.js):
+// challenge.<type>.label for the challenge list, .instruction for screen
+// readers and speech where the label is terse, and .hint for the canvas.
+// They are formatted with the params, e.g. {count}.
+//
+// A type may set `state.outcome` to "inconclusive" when the action was done
+// but the conditions didn't allow a judgement; it is copied to the challenge.
+// The detector sets "suspicious" when verify() fails under the risk score.
+//
+// `metrics` is the per-frame measurement object built by ChallengeDetector.
+// Durations are in ms of frame time (`metrics.dt`), never frame counts, so a
+// challenge asks the same of a 12 fps phone as of a 60 fps laptop. Actions
+// measured against a neutral face first average `calibrationMs` of samples
+// into `state.base`, like the yaw baseline for head turns.
+
+import { FLASH_COLORS, chromaticity, evaluateFlash, flashAt, flashDuration, flashSequence, flashTiming } from "./flash.js";
+import { ENGLISH } from "./i18n.js";
+import { secureRandom } from "./random.js";
+import { analyzeStructure, mergeStructure, structureVerdict } from "./structure.js";
+
+const avg = (list) => list.reduce((a, b) => a + b, 0) / list.length;
+
+// Collects neutral samples over `ms` of frame time; returns true once
+// state.base is set
+function calibrateBaseline(s, value, dt, ms) {
+  if (s.base !== null) return true;
+  s.samples.push(value);
+  s.calibratedMs += dt;
+  if (s.calibratedMs >= ms) s.base = avg(s.samples);
+  return false;
+}
+
+// Time the action has been held: grows while it is, drains while it isn't
+function holdFor(s, holding, dt) {
+  s.heldMs = holding ? s.heldMs + dt : Math.max(0, s.heldMs - dt);
+}
+
+const baselineState = (extra = {}) => ({ samples: [], calibratedMs: 0, base: null, heldMs: 0, ...extra });
+const baselineProgress = (s, p) => (s.base === null ? 0 : s.heldMs / p.holdMs);
+
+// Mean of the named blendshape scores, or null when they are missing
+function blendScore(metrics, names) {
+  if (!metrics.blendshapes) return null;
+  const scores = names.map(n => metrics.blendshapes[n]).filter(v => v !== undefined);
+  return scores.length ? avg(scores) : null;
+}
+
+// Head rotation on one axis: calibrate neutral, then hold the rotation.
+// direction -1 = negative angle (left), +1 = positive angle (right)
+function rotationChallenge(axis, direction, at, angle) {
+  return {
+    defaults: {
+      angle,                  // degrees from neutral that count as rotated
+      centerAngle: 8,         // degrees from neutral that count as "at center"
+      holdMs: 170,            // time the rotation has to be held
+      calibrationMs: 500      // time used to find the neutral pose
+    },
+    hint: { at },
+    movesHead: true,
+    needs: ["head"],
+    strength: 2,
+    response: (m, p) => (m[axis] === null ? null : m[axis] / p.angle),
+    init: () => baselineState({ diff: null }),
+    update(s, p, m) {
+      const value = m[axis];
+      if (value === null) return false;
+      if (!calibrateBaseline(s, value, m.dt, p.calibrationMs)) return false;
+
+      s.diff = value - s.base;
+      const rotated = s.diff * direction;
+
+      if (Math.abs(rotated) < p.centerAngle) {
+        // Decay when back at center
+        holdFor(s, false, m.dt);
+      } else if (rotated > p.angle) {
+        holdFor(s, true, m.dt);
+      } else if (rotated < -p.angle) {
+        // Rotating the other way resets progress
+        s.heldMs = 0;
+      }
+      return s.heldMs >= p.holdMs;
+    },
+    progress: baselineProgress
+  };
+}
+
+// Head turn: a yaw rotation that also has to move like a 3D object.
+// The first neutral frame is the reference; every frame turned past
+// structureMinYaw is compared with it (see structure.js).
+function turnChallenge(direction, at) {
+  const rotation = rotationChallenge("yaw", direction, at, 15);
+  return {
+    ...rotation,
+    defaults: {
+      ...rotation.defaults,
+      structureCheck: true,   // reject turns that look like a flat surface
+      structureMinYaw: 10,    // degrees turned before frames are compared
+      minResidual: 0.01,      // homography error (face widths) a real head exceeds
+      minParallax: 0.05,      // nose-vs-cheek shift (face widths) a real head exceeds
+      minDepth: 0.3           // depth plausibility score (0..1) required
+    },
+    // The 3D check makes a turn hard to fake with a photo or a screen
+    strength: 3,
+    init: () => ({ ...rotation.init(), reference: null, structure: null }),
+    update(s, p, m, d) {
+      const done = rotation.update(s, p, m, d);
+      if (s.base !== null && m.landmarks) {
+        if (!s.reference) {
+          s.reference = m.landmarks;
+        } else if (Math.abs(s.diff) >= p.structureMinYaw) {
+          s.structure = mergeStructure(s.structure, analyzeStructure(s.reference, m.landmarks));
+        }
+      }
+      return done;
+    },
+    verify: (s, p) => (p.structureCheck ? structureVerdict(s.structure, p) : null)
+  };
+}
+
+// Expression driven by blendshape scores rising above the neutral face
+function expressionChallenge(names, delta) {
+  return {
+    defaults: {
+      delta,                  // score increase over neutral that counts
+      holdMs: 130,            // time the expression has to be held
+      calibrationMs: 330
+    },
+    hint: { at: "top" },
+    needs: ["face"],
+    strength: 1,
+    response(m, p) {
+      const score = blendScore(m, names);
+      return score === null ? null : score / p.delta;
+    },
+    init: () => baselineState({ score: null }),
+    update(s, p, m) {
+      const score = blendScore(m, names);
+      if (score === null) return false;
+      if (!calibrateBaseline(s, score, m.dt, p.calibrationMs)) return false;
+      s.score = score;
+      holdFor(s, score - s.base > p.delta, m.dt);
+      return s.heldMs >= p.holdMs;
+    },
+    progress: baselineProgress
+  };
+}
+
+// One eye closed against its own neutral EAR while the other stays open.
+// "left"/"right" follow the camera view, like the head turn challenges.
+function winkChallenge(closedKey, openKey, at) {
+  return {
+    defaults: {
+      closedRatio: 0.6,       // closed eye EAR below this fraction of neutral
+      openRatio: 0.85,        // open eye EAR above this fraction of neutral
+      holdMs: 100,
+      calibrationMs: 330
+    },
+    hint: { at },
+    needs: ["eyes", "face"],
+    strength: 2,
+    // Closed eye against the open one, so blinks (both eyes) don't move it
+    response: (m, p) => (m[openKey] > 0 ? m[closedKey] / m[openKey] / (1 - p.closedRatio) : null),
+    init: () => baselineState({ openSamples: [], openBase: null }),
+    update(s, p, m) {
+      if (s.base === null) {
+        s.openSamples.push(m[openKey]);
+        calibrateBaseline(s, m[closedKey], m.dt, p.calibrationMs);
+        if (s.base !== null) s.openBase = avg(s.openSamples);
+        return false;
+      }
+      const closed = m[closedKey] < s.base * p.closedRatio;
+      const open = m[openKey] > s.openBase * p.openRatio;
+      holdFor(s, closed && open, m.dt);
+      return s.heldMs >= p.holdMs;
+    },
+    progress: baselineProgress
+  };
+}
+
+export const CHALLENGE_TYPES = {
+  blink: {
+    defaults: { count: 2 },   // blinks needed after the challenge starts
+    hint: { at: "top" },
+    needs: ["eyes"],
+    strength: 1,
+    init: (d) => ({ startBlinks: d.blinkCount }),
+    update: (s, p, m, d) => d.blinkCount - s.startBlinks >= p.count,
+    progress: (s, p, d) => (d.blinkCount - s.startBlinks) / p.count
+  },
+
+  turnLeft: turnChallenge(-1, "left"),
+  turnRight: turnChallenge(1, "right"),
+  tiltLeft: rotationChallenge("roll", -1, "left", 12),
+  tiltRight: rotationChallenge("roll", 1, "right", 12),
+
+  // Nod: pitch past the angle in both directions, each held for holdMs
+  nod: {
+    defaults: {
+      angle: 10,
+      holdMs: 70,
+      calibrationMs: 500
+    },
+    hint: { at: "top" },
+    movesHead: true,
+    needs: ["head"],
+    strength: 2,
+    response: (m, p) => (m.pitch === null ? null : m.pitch / p.angle),
+    init: () => baselineState({ diff: null, downMs: 0, upMs: 0 }),
+    update(s, p, m) {
+      if (m.pitch === null) return false;
+      if (!calibrateBaseline(s, m.pitch, m.dt, p.calibrationMs)) return false;
+      s.diff = m.pitch - s.base;
+      if (s.diff > p.angle) s.downMs += m.dt;
+      if (s.diff < -p.angle) s.upMs += m.dt;
+      s.heldMs = Math.min(s.downMs, p.holdMs) + Math.min(s.upMs, p.holdMs);
+      return s.downMs >= p.holdMs && s.upMs >= p.holdMs;
+    },
+    progress: (s, p) => (s.base === null ? 0 : s.heldMs / (p.holdMs * 2))
+  },
+
+  mouth: {
+    defaults: {
+      jawOpen: 0.3,           // jawOpen blendshape score that counts as open
+      holdMs: 130             // time the mouth has to stay open
+    },
+    hint: { at: "top" },
+    needs: ["face"],
+    strength: 1,
+    response: (m, p) => (m.jawOpen === null ? null : m.jawOpen / p.jawOpen),
+    init: () => ({ heldMs: 0 }),
+    update(s, p, m) {
+      if (m.jawOpen === null) return false;
+      holdFor(s, m.jawOpen > p.jawOpen, m.dt);
+      return s.heldMs >= p.holdMs;
+    },
+    progress: (s, p) => s.heldMs / p.holdMs
+  },
+
+  smile: expressionChallenge(["mouthSmileLeft", "mouthSmileRight"], 0.35),
+  eyebrows: expressionChallenge(["browInnerUp", "browOuterUpLeft", "browOuterUpRight"], 0.25),
+
+  winkLeft: winkChallenge("earL", "earR", "left"),
+  winkRight: winkChallenge("earR", "earL", "right"),
+
+  forward: {
+    defaults: {
+      growth: 0.08,           // face width increase over the window (8%)
+      holdMs: 70,             // time above the growth threshold
+      windowMs: 1000,         // face widths kept
+      minSpanMs: 330          // time covered before checking growth
+    },
+    hint: { at: "top" },
+    needs: ["head"],
+    strength: 2,
+    // Relative growth of the face width
+    response: (m, p) => Math.log(m.bounds.w) / p.growth,
+    init: () => ({ sizeHistory: [], heldMs: 0 }),
+    update(s, p, m) {
+      const h = s.sizeHistory;
+      h.push({ t: m.timestamp, w: m.bounds.w });
+      while (m.timestamp - h[0].t > p.windowMs) h.shift();
+      if (m.timestamp - h[0].t >= p.minSpanMs) {
+        const first = h[0].w;
+        const maxVal = Math.max(...h.map(e => e.w));
+        if (maxVal > first * (1 + p.growth)) s.heldMs += m.dt;
+      }
+      return s.heldMs >= p.holdMs;
+    },
+    progress: (s, p) => s.heldMs / p.holdMs
+  },
+
+  // Screen light: the page flashes a color sequence and the face has to
+  // reflect it (see flash.js). Needs `metrics.skinColor` from the session.
+  flash: {
+    defaults: {
+      colors: 4,              // flashes in the sequence
+      sequence: null,         // color names, drawn when the challenge is created
+      leadMs: 800,            // neutral frames before the first flash
+      flashMs: 500,           // duration of each flash
+      reducedFlashMs: 1200,   // duration of each flash with config.reducedFlash
+      settleMs: 150,          // start of each flash ignored (camera exposure)
+      maxLagMs: 400,          // screen-to-camera latency searched
+      minLuminance: 35,       // baseline face brightness (0..255) below this is inconclusive
+      maxLuminance: 215,      // ... and above this
+      minResponse: 0.004,     // mean chromaticity shift that counts as a reflection
+      minMatch: 0.75          // share of flashes whose reflection has to match
+    },
+    hint: { at: "top" },
+    // Nothing to perform: the screen lights the face
+    needs: [],
+    strength: 3,
+    prepare(p, random) {
+      if (!p.sequence) p.sequence = flashSequence(p.colors, random);
+    },
+    init: () => ({ startedAt: null, elapsed: 0, samples: [], result: null, outcome: null }),
+    update(s, p, m, d) {
+      if (s.startedAt === null) s.startedAt = m.timestamp;
+      s.elapsed = m.timestamp - s.startedAt;
+      // The color can come from an earlier frame than this one (the pixel
+      // worker lags behind), so it is placed at the time it was sampled
+      const t = (m.skinColorAt ?? m.timestamp) - s.startedAt;
+      if (m.skinColor && t >= 0) {
+        const { r, g, b } = m.skinColor;
+        s.samples.push({ t, chroma: chromaticity(m.skinColor), lum: (r + g + b) / 3 });
+      }
+      const timing = flashTiming(p, d.config.reducedFlash);
+      if (s.elapsed < flashDuration(p.sequence, timing)) return false;
+      s.result = evaluateFlash(s.samples, p.sequence, timing, p);
+      s.outcome = s.result.outcome === "inconclusive" ? "inconclusive" : null;
+      return true;
+    },
+    display(s, p, d, timestamp) {
+      if (s.startedAt === null) return null;
+      const timing = flashTiming(p, d.config.reducedFlash);
+      const name = flashAt(p.sequence, timing, timestamp - s.startedAt);
+      if (!name) return null;
+      return { color: `rgb(${FLASH_COLORS[name].map(c => c * 255).join(",")})`, opacity: timing.intensity, fadeMs: timing.fadeMs };
+    },
+    // The sequence can't be judged with a gap in it, so it starts over
+    hold(s) {
+      s.startedAt = null;
+      s.elapsed = 0;
+      s.samples = [];
+    },
+    progress: (s, p, d) => s.elapsed / flashDuration(p.sequence, flashTiming(p, d.config.reducedFlash)),
+    verify: (s) => (s.result.outcome === "mismatch" ? s.result.reason : null)
+  }
+};
+
+export function createChallenge(type, params = {}, timeoutSec = 0, random = secureRandom) {
+  const def = CHALLENGE_TYPES[type];
+  if (!def) throw new Error(`Unknown challenge type: ${type}`);
+  const merged = { ...def.defaults, ...params };
+  def.prepare?.(merged, random);
+  // English texts; a session replaces them with its locale's (see i18n.js)
+  const { label, instruction } = ENGLISH.challenge({ key: type, params: merged });
+  return { key: type, label, instruction, params: merged, timeoutSec, done: false };
+}
@@ -0,0 +1,115 @@
+// Compact per-frame trace for server-side validation (see trace-validator.js).
+//
+// Unlike the NDJSON debug trace (trace.js) this holds no landmarks, only the
+// few measurements the challenge logic runs on, as one row per frame:
+//   {
+//     "v": 2,
+//     "nonce": "<server nonce>" | null,
+//     "reducedFlash": false,
+//     "sequence": [{ "type": "blink", "params": { ... }, "timeoutSec": 12 }, ...],
+//     "fields": ["t", "yaw", "pitch", "roll", "earL", "earR", "jawOpen", "faceWidth", "smile", "brows", "r", "g", "b", "colorT"],
+//     "frames": [[66.6, -1.2, 4.5, 0.3, 0.291, 0.287, 0.02, 0.412, 0.05, 0.11, 152.1, 108.4, 90.2, 33.3], [99.9], ...],
+//     "pauses": [[<"t" of the last frame before>, <"t" of the first frame after>], ...]
+//   }
+// A row holding only "t" is a frame without a face. "colorT" is the time of
+// the frame the color was sampled from, which lags behind "t". A pause (hidden
+// tab, muted camera) is the gap between two frames after which the detector
+// resumed (see ChallengeDetector.resume()). "reducedFlash" is the light
+// challenge's timing setting (see flashTiming()), which the re-run has to
+// use as well. The signed result
+// carries the SHA-256 of the canonical JSON (see traceDigest).
+import { sha256Hex } from "./assets.js";
+import { canonicalJSON } from "./signing.js";
+
+export const COMPACT_TRACE_VERSION = 2;
+export const COMPACT_FIELDS = ["t", "yaw", "pitch", "roll", "earL", "earR", "jawOpen", "faceWidth", "smile", "brows", "r", "g", "b", "colorT"];
+
+// Blendshapes the expression challenges average (see challenges.js)
+const SMILE = ["mouthSmileLeft", "mouthSmileRight"];
+const BROWS = ["browInnerUp", "browOuterUpLeft", "browOuterUpRight"];
+
+const round = (v, digits = 4) => (typeof v === "number" && isFinite(v) ? Number(v.toFixed(digits)) : null);
+
+function blendMean(scores, names) {
+  if (!scores) return null;
+  const values = names.map(n => scores[n]).filter(v => v !== undefined);
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+export class CompactTraceRecorder {
+  begin(sequence, nonce = null, { reducedFlash = false } = {}) {
+    this.trace = {
+      v: COMPACT_TRACE_VERSION,
+      nonce,
+      reducedFlash: Boolean(reducedFlash),
+      sequence: sequence.map(c => ({ type: c.key, params: c.params, timeoutSec: c.timeoutSec })),
+      fields: COMPACT_FIELDS,
+      frames: [],
+      pauses: []
+    };
+  }
+
+  // Frames start again at `timestamp` after a pause
+  resume(timestamp) {
+    const last = this.trace.frames[this.trace.frames.length - 1];
+    if (last) this.trace.pauses.push([last[0], round(timestamp, 1)]);
+  }
+
+  // `metrics` as returned by ChallengeDetector.update(), or null without a face
+  frame(timestamp, metrics) {
+    if (!metrics) {
+      this.trace.frames.push([round(timestamp, 1)]);
+      return;
+    }
+    const c = metrics.skinColor;
+    this.trace.frames.push([
+      round(timestamp, 1),
+      round(metrics.yaw, 2),
+      round(metrics.pitch, 2),
+      round(metrics.roll, 2),
+      round(metrics.earL),
+      round(metrics.earR),
+      round(metrics.jawOpen),
+      round(metrics.bounds.w),
+      round(blendMean(metrics.blendshapes, SMILE)),
+      round(blendMean(metrics.blendshapes, BROWS)),
+      round(c?.r, 2),
+      round(c?.g, 2),
+      round(c?.b, 2),
+      c ? round(metrics.skinColorAt, 1) : null
+    ]);
+  }
+
+  toJSON() {
+    return this.trace;
+  }
+}
+
+// Rebuilds the detector metrics for one row, or null for a frame without a face
+export function rowToMetrics(row, fields = COMPACT_FIELDS) {
+  if (row.length < 2) return null;
+  const v = Object.fromEntries(fields.map((f, i) => [f, row[i] ?? null]));
+  const blendshapes = {};
+  if (v.jawOpen !== null) blendshapes.jawOpen = v.jawOpen;
+  if (v.smile !== null) for (const n of SMILE) blendshapes[n] = v.smile;
+  if (v.brows !== null) for (const n of BROWS) blendshapes[n] = v.brows;
+  return {
+    timestamp: v.t,
+    earL: v.earL,
+    earR: v.earR,
+    bounds: { w: v.faceWidth },
+    yaw: v.yaw,
+    pitch: v.pitch,
+    roll: v.roll,
+    jawOpen: v.jawOpen,
+    blendshapes: Object.keys(blendshapes).length ? blendshapes : null,
+    landmarks: null,
+    skinColor: v.r !== null ? { r: v.r, g: v.g, b: v.b } : null,
+    skinColorAt: v.r !== null ? v.colorT : null
+  };
+}
+
+// Hex SHA-256 of the trace's canonical JSON
+export function traceDigest(trace) {
+  return sha256Hex(new TextEncoder().encode(canonicalJSON(trace)));
+}
@@ -0,0 +1,54 @@
+import { DEFAULT_ASSETS } from "./assets.js";
+import { DEFAULT_POLICY } from "./policy.js";
+
+// Default config (dynamic EAR calibration)
+// Per-challenge thresholds live in the challenge policy (see policy.js).
+export const DEFAULT_CONFIG = {
+  fallbackEAR: 0.22,              // default threshold if calibration not done
+  calibrationMs: 1300,            // time to compute average open-eye EAR
+  earClosedMs: 80,                // time the eyes stay closed to count a blink
+  minOpenMsAfterBlink: 50,        // ensure eye reopened before next blink
+  timeLimitSec: 45,               // verification timeout (a policy may override it)
+  smoothTauMs: 90,                // time constant of the EAR smoothing
+  frameRate: {},                  // FrameRateMonitor overrides: minimum fps, dropped-frame detection (see timing.js)
+  screenReplayCheck: true,        // look for moire, display flicker and bezel edges
+  screenReplayThreshold: 0.6,     // session replay score (0..1) that fails the check
+  screenReplayMinSamples: 20,     // frames analysed before a replay verdict is allowed
+  cameraId: null,                 // camera to open; null uses the remembered pick or the front camera
+  rememberCamera: true,           // keep the camera picked with selectCamera() in localStorage
+  pixelWorker: true,              // run the pixel measurements in a Worker (see pixel-pipeline.js)
+  pixelSampleWidth: 480,          // frames are downsampled to this width before pixel analysis
+  injectionCheck: true,           // look for virtual cameras and injected streams (see injection.js)
+  injection: {},                  // InjectionAnalyzer threshold overrides
+  pulseCheck: true,               // estimate an rPPG pulse from skin color (see pulse.js); on whenever the policy requires one
+  pulseMinScore: 0.5,             // pulse score (0..1) needed when the policy requires a pulse
+  pulseMinSec: 6,                 // seconds of skin color needed before a pulse verdict
+  maxFaces: 2,                    // faces the landmarker looks for; a second one fails the check
+  continuityCheck: true,          // follow the same face through the session (see continuity.js)
+  faceLostResetMs: 1000,          // face missing this long restarts the current challenge
+  faceLostFailMs: 4000,           // face missing this long fails the session
+  faceChangeThreshold: 0.1,       // face geometry change (mean log-ratio) that counts as another face
+  qualityGate: true,              // hold calibration and progress on unusable frames (see quality.js)
+  quality: {},                    // QualityGate threshold overrides
+  reducedFlash: null,             // softer, slower light challenge; null follows prefers-reduced-motion
+  speech: false,                  // speak prompts and status changes with speechSynthesis (see announcer.js)
+  speechLang: null,               // language of the spoken prompts; null follows the locale
+  locale: null,                   // language of all texts (BCP 47); null picks from the browser's preferences (see i18n.js)
+  messages: {},                   // integrator message catalogs: { "<locale>": { "<message id>": text } } (see messages.js)
+  nonce: null,                    // server-issued nonce carried by the signed result (see signing.js)
+  challengeSeed: null,            // server-issued seed that decides the challenge sequence
+  signResult: true,               // sign the result with a per-session WebCrypto key
+  compactTrace: true,             // keep the measurement trace for server-side validation
+  reactionCheck: true,            // judge prompt-to-response timing (see reaction.js)
+  reactionCue: false,             // "Wait… now" prompts; the response has to start right after "Now"
+  reaction: {},                   // ReactionTracker threshold overrides
+  challengeParams: {},            // per-type challenge param overrides, e.g. { turnLeft: { angle: 12 } }; for tuning only, a verifying server uses the policy's (see tuning.js)
+  attemptLimit: true,             // cooldown and lockout after failed attempts, kept in localStorage (see attempts.js)
+  attempts: {},                   // AttemptTracker overrides: max attempts, cooldown, lockout
+  riskScore: true,                // combine the spoof signals into a banded score instead of failing on the first (see risk.js)
+  risk: {},                       // bands and weights (RISK_DEFAULTS overrides)
+  policy: DEFAULT_POLICY,         // challenge pool, draw count, ordering (preset name, JSON or object)
+  assets: DEFAULT_ASSETS,         // model/wasm locations + integrity (see assets.js)
+  recordTrace: false,             // keep an NDJSON landmark trace (see trace.js)
+  debug: true                     // log details and draw the debug box
+};
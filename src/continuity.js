@@ -0,0 +1,148 @@
+// Face continuity tracking (pure, no DOM)
+//
+// Makes sure the face that calibrated is the face that finishes. Each frame
+// the primary face is reduced to a signature of rigid geometry ratios (eye
+// spacing against nose length, eye and nose widths, face width), which stay
+// put for one person whatever their expression but differ between people.
+// The tracker also watches for a second face in view and for the face
+// leaving the frame.
+import { faceBounds } from "./geometry.js";
+import { smoothing } from "./timing.js";
+
+const dist3 = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, (a.z ?? 0) - (b.z ?? 0));
+
+// Landmark pairs measured against the outer eye-corner distance (33-263);
+// mouth and jaw are left out because they move with expressions
+const SIGNATURE_PAIRS = [
+  [168, 1],     // nose bridge to tip
+  [33, 133],    // left eye width
+  [362, 263],   // right eye width
+  [133, 362],   // inner eye-corner distance
+  [98, 327],    // nose width
+  [10, 168],    // forehead to nose bridge
+  [234, 454]    // face width at the cheeks
+];
+
+export function faceSignature(lms) {
+  const eyes = dist3(lms[33], lms[263]) || 1;
+  return SIGNATURE_PAIRS.map(([a, b]) => dist3(lms[a], lms[b]) / eyes);
+}
+
+// Mean absolute log-ratio between two signatures; 0.1 is ~10% apart
+export function signatureDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += Math.abs(Math.log((a[i] || 1e-6) / (b[i] || 1e-6)));
+  return sum / a.length;
+}
+
+// Index of the face closest to where the tracked face was last seen
+// (the first face when nothing is tracked yet)
+export function pickPrimaryFace(faces, center = null) {
+  if (!center || faces.length < 2) return 0;
+  let best = 0, bestDist = Infinity;
+  faces.forEach((lms, i) => {
+    const b = faceBounds(lms);
+    const d = Math.hypot(b.cx - center.x, b.cy - center.y);
+    if (d < bestDist) { best = i; bestDist = d; }
+  });
+  return best;
+}
+
+export class ContinuityTracker {
+  constructor(config = {}) {
+    this.config = {
+      referenceMs: 650,         // near-frontal time averaged into the reference signature
+      frontalAngle: 15,         // degrees of yaw/pitch within which signatures are compared
+      changeThreshold: 0.1,     // signature distance that counts as a different face
+      changeMs: 230,            // time over the threshold before failing
+      tauMs: 90,                // time constant of the live signature's EMA
+      extraFaceMinSize: 0.35,   // second face width, relative to the primary, that counts
+      extraFaceMs: 70,          // time with a second face in view before failing
+      lostResetMs: 1000,        // face missing this long resets the current challenge
+      lostFailMs: 4000,         // face missing this long fails the session
+      ...config
+    };
+    this.reset();
+  }
+
+  reset() {
+    this.reference = null;
+    this.referenceSamples = [];
+    this.signature = null;
+    this.distance = 0;
+    this.changedSince = null;
+    this.extraSince = null;
+    this.lastSeen = null;
+    this.lostSince = null;
+    this.returning = false;
+    this.center = null;
+  }
+
+  // A frame with the primary face (`lms`), any other faces and the detector
+  // metrics. Returns null, or { action: "reset" | "fail", reason }.
+  update(lms, otherFaces, metrics) {
+    const c = this.config;
+    const t = metrics.timestamp;
+    const bounds = metrics.bounds;
+    const lostFor = this.lostSince !== null ? t - this.lostSince : 0;
+    const returned = this.lostSince !== null;
+    if (returned) this.returning = true;
+    const dt = this.lastSeen !== null ? t - this.lastSeen : 0;
+    this.lostSince = null;
+    this.lastSeen = t;
+    this.center = { x: bounds.cx, y: bounds.cy };
+
+    const extra = otherFaces.some(o => faceBounds(o).w >= bounds.w * c.extraFaceMinSize);
+    this.extraSince = extra ? this.extraSince ?? t : null;
+    if (extra && t - this.extraSince >= c.extraFaceMs) return { action: "fail", reason: "multipleFaces" };
+
+    const frontal = Math.abs(metrics.yaw ?? 0) < c.frontalAngle && Math.abs(metrics.pitch ?? 0) < c.frontalAngle;
+    if (frontal) {
+      const sig = faceSignature(lms);
+      if (!this.reference) {
+        this.referenceSamples.push({ t, sig });
+        if (t - this.referenceSamples[0].t >= c.referenceMs) {
+          const n = this.referenceSamples.length;
+          this.reference = sig.map((_, i) => this.referenceSamples.reduce((a, s) => a + s.sig[i], 0) / n);
+        }
+      } else {
+        // After a gap, judge the returning face on its own first frontal frame
+        const fresh = !this.signature || this.returning;
+        const alpha = smoothing(dt, c.tauMs);
+        this.signature = fresh ? sig : this.signature.map((v, i) => v + alpha * (sig[i] - v));
+        this.distance = signatureDistance(this.signature, this.reference);
+        if (this.returning) {
+          this.returning = false;
+          if (this.distance > c.changeThreshold) return { action: "fail", reason: "differentFace" };
+        }
+        const changed = this.distance > c.changeThreshold;
+        this.changedSince = changed ? this.changedSince ?? t : null;
+        if (changed && t - this.changedSince >= c.changeMs) return { action: "fail", reason: "faceChanged" };
+      }
+    }
+
+    if (returned && lostFor >= c.lostResetMs) return { action: "reset", reason: "faceLeft" };
+    return null;
+  }
+
+  // Frames start again at `timestamp` after a pause. The returning face is
+  // judged like one that left the frame, but the pause itself isn't time
+  // without a face: the lost clock starts over at `timestamp`.
+  resume(timestamp) {
+    if (this.lastSeen === null) return;
+    this.lastSeen = timestamp;
+    this.lostSince = timestamp;
+    this.changedSince = null;
+    this.extraSince = null;
+  }
+
+  // A frame without any face. Returns null or { action: "fail", reason }.
+  lost(timestamp) {
+    if (this.lastSeen === null) return null;
+    if (this.lostSince === null) this.lostSince = this.lastSeen;
+    if (timestamp - this.lostSince >= this.config.lostFailMs) {
+      return { action: "fail", reason: "faceLost" };
+    }
+    return null;
+  }
+}
@@ -0,0 +1,278 @@
+// Developer tuning panel (browser only)
+//
+// Rolling charts of the per-frame signals (the session's "frame" event)
+// with the thresholds they are judged against drawn dashed, markers where
+// blinks and challenge completions were detected, and a slider for every
+// tunable threshold (see tuning.js). Slider changes go to the running
+// session and are saved in localStorage; "Export config" downloads them as
+// config JSON. The texts are English only: the panel is for developers.
+import { LOW_MOTION } from "./spoof.js";
+import { CONFIG_TUNABLES, SignalHistory, THRESHOLD_GROUPS, challengeTunables, groupTunables, loadTuning, mergeTuning, saveTuning } from "./tuning.js";
+
+const SERIES_COLORS = ["#00d0ff", "#f5a524", "#17c964"];
+const THRESHOLD_COLOR = "rgba(255,255,255,0.55)";
+const MARKER_COLORS = { blink: "rgba(0,208,255,0.45)", completed: "rgba(23,201,100,0.9)" };
+// Frames further apart than this aren't joined (no face, paused)
+const GAP_MS = 300;
+
+// Neutral ± the angle of the head movement being done
+function rotationThresholds(s) {
+  const angle = s.challenge?.params.angle;
+  if (typeof angle !== "number" || s.baseline === null) return [null, null];
+  return [s.baseline - angle, s.baseline + angle];
+}
+
+// series: sample values drawn as lines; thresholds(frame): the values the
+// frame was judged against, null where there is none
+const CHARTS = [
+  { title: "EAR left / right", series: ["earL", "earR"], thresholds: f => [f.earThreshold] },
+  { title: "Yaw / pitch / roll (°)", series: ["yaw", "pitch", "roll"], thresholds: rotationThresholds },
+  { title: "jawOpen", series: ["jawOpen"], thresholds: f => [f.challenge?.key === "mouth" ? f.challenge.params.jawOpen : null] },
+  { title: "Face width", series: ["faceWidth"], thresholds: () => [] },
+  { title: "Motion energy", series: ["motionEnergy"], thresholds: () => [LOW_MOTION] }
+];
+
+const fmt = (v) => (typeof v === "number" && isFinite(v) ? Number(v.toPrecision(3)).toString() : "–");
+
+export class TuningDashboard {
+  // root: element the panel is built in; storage: see tuning.js
+  constructor(session, root, { windowMs = 10000, storage } = {}) {
+    this.session = session;
+    this.root = root;
+    this.storage = storage;
+    this.history = new SignalHistory(windowMs);
+    this.pending = [];
+    this.drawScheduled = false;
+    this.overrides = loadTuning(storage);
+    if (Object.keys(this.overrides).length) session.tune(this.overrides);
+
+    this.build();
+    this.offs = [
+      session.on("frame", (f) => this.frame(f)),
+      session.on("blink", ({ count }) => this.pending.push({ kind: "blink", label: String(count) })),
+      session.on("challengeCompleted", ({ challenge }) => this.pending.push({ kind: "completed", label: challenge.key }))
+    ];
+  }
+
+  destroy() {
+    for (const off of this.offs) off();
+    this.root.replaceChildren();
+    this.root.hidden = true;
+  }
+
+  build() {
+    const root = this.root;
+    root.replaceChildren();
+    root.hidden = false;
+
+    const charts = document.createElement("div");
+    charts.className = "tuning-charts";
+    this.canvases = CHARTS.map(chart => {
+      const figure = document.createElement("figure");
+      const caption = document.createElement("figcaption");
+      caption.textContent = chart.title;
+      const canvas = document.createElement("canvas");
+      canvas.setAttribute("aria-hidden", "true");
+      figure.append(caption, canvas);
+      charts.appendChild(figure);
+      return canvas;
+    });
+
+    this.controls = document.createElement("div");
+    this.controls.className = "tuning-controls";
+    this.buildControls();
+
+    const actions = document.createElement("div");
+    actions.className = "tuning-actions";
+    const exportBtn = document.createElement("button");
+    exportBtn.textContent = "Export config";
+    exportBtn.addEventListener("click", () => this.exportConfig());
+    const resetBtn = document.createElement("button");
+    resetBtn.textContent = "Reset to defaults";
+    resetBtn.addEventListener("click", () => this.reset());
+    actions.append(exportBtn, resetBtn);
+
+    root.append(charts, actions, this.controls);
+  }
+
+  buildControls() {
+    const session = this.session;
+    this.controls.replaceChildren();
+
+    const config = this.group("Config", true);
+    for (const [key, range] of Object.entries(CONFIG_TUNABLES)) {
+      config.appendChild(this.slider(key, range, session.config[key], (value) => this.set({ [key]: value })));
+    }
+
+    for (const [key, thresholds] of Object.entries(groupTunables())) {
+      const group = this.group(key, false);
+      for (const [name, range] of Object.entries(thresholds)) {
+        const value = session.config[key]?.[name] ?? range.value;
+        group.appendChild(this.slider(name, range, value, (v) => this.set({ [key]: { [name]: v } })));
+      }
+    }
+
+    for (const [type, params] of Object.entries(challengeTunables())) {
+      const group = this.group(type, false);
+      const drawn = session.challengeSequence.find(c => c.key === type)?.params;
+      for (const [name, range] of Object.entries(params)) {
+        const value = this.overrides.challengeParams?.[type]?.[name] ?? drawn?.[name] ?? range.value;
+        group.appendChild(this.slider(name, range, value, (v) => this.set({ challengeParams: { [type]: { [name]: v } } })));
+      }
+    }
+  }
+
+  group(title, open) {
+    const details = document.createElement("details");
+    details.open = open;
+    const summary = document.createElement("summary");
+    summary.textContent = title;
+    details.appendChild(summary);
+    this.controls.appendChild(details);
+    return details;
+  }
+
+  slider(name, { min, max, step }, value, onChange) {
+    const row = document.createElement("label");
+    row.className = "tuning-row";
+    const label = document.createElement("span");
+    label.textContent = name;
+    const input = document.createElement("input");
+    input.type = "range";
+    input.min = String(Math.min(min, value));
+    input.max = String(Math.max(max, value));
+    input.step = String(step);
+    input.value = String(value);
+    const output = document.createElement("output");
+    output.textContent = fmt(value);
+    input.addEventListener("input", () => {
+      const v = Number(input.value);
+      output.textContent = fmt(v);
+      onChange(v);
+    });
+    row.append(label, input, output);
+    return row;
+  }
+
+  // Applies changes to the session and saves the overrides
+  set(changes) {
+    this.overrides = mergeTuning(this.overrides, changes);
+    saveTuning(this.overrides, this.storage);
+    // Groups go over as a whole, so the session can tell what was dropped
+    const [key] = Object.keys(changes);
+    const group = key === "challengeParams" || THRESHOLD_GROUPS.includes(key);
+    this.session.tune(group ? { [key]: this.overrides[key] ?? null } : changes);
+  }
+
+  reset() {
+    const changes = { challengeParams: null };
+    for (const key of Object.keys(this.overrides)) changes[key] = null;
+    this.overrides = {};
+    saveTuning(this.overrides, this.storage);
+    this.session.tune(changes);
+    this.buildControls();
+  }
+
+  exportConfig() {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(this.overrides, null, 2)], { type: "application/json" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "liveness-config.json";
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  frame(f) {
+    this.history.push(f.t, {
+      earL: f.earL,
+      earR: f.earR,
+      yaw: f.yaw,
+      pitch: f.pitch,
+      roll: f.roll,
+      jawOpen: f.jawOpen,
+      faceWidth: f.faceWidth,
+      motionEnergy: f.motionEnergy,
+      thresholds: CHARTS.map(chart => chart.thresholds(f))
+    });
+    for (const { kind, label } of this.pending) this.history.mark(kind, label, f.t);
+    this.pending = [];
+    if (this.drawScheduled) return;
+    this.drawScheduled = true;
+    requestAnimationFrame(() => {
+      this.drawScheduled = false;
+      CHARTS.forEach((chart, i) => this.drawChart(this.canvases[i], chart, i));
+    });
+  }
+
+  drawChart(canvas, chart, index) {
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * dpr);
+    const height = Math.round(canvas.clientHeight * dpr);
+    if (!width || !height) return;
+    if (canvas.width !== width || canvas.height !== height) Object.assign(canvas, { width, height });
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, width, height);
+
+    const h = this.history;
+    const samples = h.samples;
+    if (!samples.length) return;
+    // Value range of the lines and thresholds in view, with some headroom
+    let [min, max] = h.range(chart.series) ?? [0, 1];
+    for (const s of samples) {
+      for (const v of s.thresholds[index]) {
+        if (typeof v !== "number") continue;
+        min = Math.min(min, v);
+        max = Math.max(max, v);
+      }
+    }
+    const pad = Math.max((max - min) * 0.1, Math.abs(max) * 0.05, 1e-3);
+    min -= pad;
+    max += pad;
+    const x = (t) => ((t - h.start) / h.windowMs) * width;
+    const y = (v) => height - ((v - min) / (max - min)) * height;
+
+    ctx.lineWidth = dpr;
+    for (const m of h.markers) {
+      ctx.strokeStyle = MARKER_COLORS[m.kind];
+      ctx.beginPath();
+      ctx.moveTo(x(m.t), 0);
+      ctx.lineTo(x(m.t), height);
+      ctx.stroke();
+      if (m.kind === "completed") {
+        ctx.fillStyle = MARKER_COLORS[m.kind];
+        ctx.font = `${10 * dpr}px monospace`;
+        ctx.fillText(m.label, x(m.t) + 3 * dpr, 10 * dpr);
+      }
+    }
+
+    const line = (value, color, dash) => {
+      ctx.strokeStyle = color;
+      ctx.setLineDash(dash);
+      ctx.beginPath();
+      let last = null;
+      for (const s of samples) {
+        const v = value(s);
+        if (typeof v !== "number" || !isFinite(v)) {
+          last = null;
+          continue;
+        }
+        if (last === null || s.t - last > GAP_MS) ctx.moveTo(x(s.t), y(v));
+        else ctx.lineTo(x(s.t), y(v));
+        last = s.t;
+      }
+      ctx.stroke();
+    };
+    const slots = Math.max(0, ...samples.map(s => s.thresholds[index].length));
+    for (let j = 0; j < slots; j++) line(s => s.thresholds[index][j], THRESHOLD_COLOR, [4 * dpr, 4 * dpr]);
+    chart.series.forEach((key, j) => line(s => s[key], SERIES_COLORS[j], []));
+    ctx.setLineDash([]);
+
+    // Latest values, in the series colors
+    const latest = samples[samples.length - 1];
+    ctx.font = `${11 * dpr}px monospace`;
+    chart.series.forEach((key, j) => {
+      ctx.fillStyle = SERIES_COLORS[j];
+      ctx.fillText(`${key} ${fmt(latest[key])}`, 4 * dpr + j * 90 * dpr, height - 4 * dpr);
+    });
+  }
+}
@@ -0,0 +1,451 @@
+// Pure challenge detection core.
+// Takes per-frame landmarker output and returns state transitions + progress.
+// No document, canvas or FaceLandmarker dependency, so it runs under Node.
+import { CHALLENGE_TYPES } from "./challenges.js";
+import { DEFAULT_CONFIG } from "./config.js";
+import { ContinuityTracker } from "./continuity.js";
+import { LEFT_EYE, RIGHT_EYE, computeEAR, faceBounds, getPitchFromMatrix, getRollFromMatrix, getYawFromMatrix } from "./geometry.js";
+import { drawChallenges } from "./policy.js";
+import { QualityGate } from "./quality.js";
+import { ReactionTracker } from "./reaction.js";
+import { FrameRateMonitor, smoothing } from "./timing.js";
+
+// Frame input: { landmarks, blendshapes, matrix, timestamp, skinColor, skinColorAt, otherFaces, quality }
+//   landmarks   - normalized landmark list for one face (478 points)
+//   blendshapes - category list ({ categoryName, score }) or null
+//   matrix      - facial transformation matrix ({ data: number[16] }) or null
+//   timestamp   - frame time in ms
+//   skinColor   - mean forehead/cheek color ({ r, g, b }) sampled by the caller, or null
+//   skinColorAt - timestamp of the frame the color was sampled from; it can
+//                 lag behind `timestamp` (defaults to it)
+//   otherFaces  - landmark lists of any further faces in view (see pickPrimaryFace)
+//   quality     - pixel statistics from imageQuality() (see quality.js), or null
+//
+// Frames without a face go to noFace(timestamp), which returns the same shape
+// with null metrics.
+//
+// Every duration is measured on the frame timestamps, not in frames (see
+// timing.js), so detection behaves the same at any frame rate. After a pause
+// in the frames (hidden tab, muted camera) the caller calls resume() before
+// the next frame.
+//
+// update() returns { state, transitions, progress, calibration, quality, metrics }
+//   state       - "calibrating" | "challenge" | "completed" | "failed"
+//   transitions - [{ type: "calibrated" | "blink" | "challengeCompleted" |
+//                  "challengeStarted" | "challengeReset" | "challengeRetry" |
+//                  "challengeTimeout" | "quality" | "cue" | "frameRate" | "spoof" |
+//                  "completed", ... }]
+//                 raised this frame
+//   progress    - current challenge progress, 0-100
+//   calibration - EAR calibration progress, 0-100
+//   frameRate   - { fps, frames, dropped, low }; "frameRate" transitions
+//                 report the frame rate dropping under (or recovering from)
+//                 the minimum
+//   quality     - quality gate status { ok, issue, message }; while it isn't ok,
+//                 calibration and challenge progress (and its time limit) are held
+//   metrics     - per-frame measurements (earL, earR, bounds, yaw, pitch, roll,
+//                 jawOpen, blendshapes as a name -> score map, landmarks, skinColor,
+//                 skinColorAt,
+//                 dt: ms of frame time this frame counts for)
+//
+// A "failed" detector records why in `failure`: { kind: "timeout" | "spoof", reason }
+// (a reason code, see risk.js). A challenge that runs out of time while it
+// has `retries` left is prompted again with a fresh time limit instead
+// ("challengeRetry"); `retried` counts how often.
+// A completed challenge carries its reaction timing in `reaction` (see reaction.js).
+// Every challenge that ran records, for the audit report (see audit.js),
+// `startedAt` and `endedAt` (frame timestamps of its first and last frame),
+// `baseline` (its neutral value, e.g. the yaw a head turn is measured from,
+// or null) and `peak`: the largest change of its response (see challenges.js)
+// since it started, where 1 is the full action, or null for types without one.
+// With config.riskScore a challenge whose check fails isn't a spoof verdict:
+// it completes with outcome "suspicious" and the reason in `finding`.
+export class ChallengeDetector {
+  constructor(config = {}, sequence = null) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.reset(sequence);
+  }
+
+  reset(sequence = null) {
+    this.sequence = sequence || drawChallenges(this.config.policy);
+    this.currentIndex = 0;
+    this.completed = false;
+    this.failed = false;
+    this.failure = null;
+    this.transitions = [];
+
+    // Active challenge scratch state (see challenges.js)
+    this.challengeState = null;
+    this.challengeStartedAt = null;
+    this.responseFrom = null;
+    this.firstTimestamp = null;
+    this.lastTimestamp = null;
+
+    // Same face from calibration to the end (see continuity.js)
+    const config = this.config;
+    this.continuity = new ContinuityTracker({
+      lostResetMs: config.faceLostResetMs,
+      lostFailMs: config.faceLostFailMs,
+      changeThreshold: config.faceChangeThreshold
+    });
+    this.quality = new QualityGate(config.quality);
+    this.frameRate = new FrameRateMonitor(config.frameRate);
+    // Prompt-to-response timing (see reaction.js)
+    this.reaction = new ReactionTracker({ cue: config.reactionCue, ...config.reaction });
+
+    // Blink detection state
+    this.earClosedMs = 0;
+    this.blinkCount = 0;
+    this.blinkLatched = false;
+    this.openMsAfterBlink = 0;
+    this.calibratedMs = 0;
+    this.calibrationSamples = 0;
+    this.earAverageOpen = 0;
+    this.earThreshold = null;
+    this.smoothEAR = null;
+    // Mean yaw while calibrating: how far off frontal the user sits
+    this.baseYaw = null;
+    this.yawSum = 0;
+    this.yawMs = 0;
+  }
+
+  get current() {
+    return this.sequence[this.currentIndex] || null;
+  }
+
+  get calibrated() {
+    return this.earThreshold !== null;
+  }
+
+  get state() {
+    if (this.failed) return "failed";
+    if (this.completed) return "completed";
+    return this.calibrated ? "challenge" : "calibrating";
+  }
+
+  update(frame) {
+    this.transitions = [];
+    const lms = frame.landmarks;
+    const blendshapes = frame.blendshapes || null;
+    const matrix = frame.matrix || null;
+    const scores = blendshapes ? Object.fromEntries(blendshapes.map(b => [b.categoryName, b.score])) : null;
+    const metrics = {
+      timestamp: frame.timestamp,
+      earL: computeEAR(lms, LEFT_EYE),
+      earR: computeEAR(lms, RIGHT_EYE),
+      bounds: faceBounds(lms),
+      yaw: matrix ? getYawFromMatrix(matrix) : null,
+      pitch: matrix ? getPitchFromMatrix(matrix) : null,
+      roll: matrix ? getRollFromMatrix(matrix) : null,
+      jawOpen: scores?.jawOpen ?? null,
+      blendshapes: scores,
+      landmarks: lms,
+      skinColor: frame.skinColor || null,
+      skinColorAt: frame.skinColor ? frame.skinColorAt ?? frame.timestamp : null
+    };
+
+    if (this.config.continuityCheck && this.state !== "failed") {
+      this.handleContinuity(this.continuity.update(lms, frame.otherFaces || [], metrics));
+    }
+    return this.process(metrics, frame.quality || null);
+  }
+
+  // Calibration and challenge logic on measurements alone, without landmarks
+  // (so no continuity or 3D checks). The trace validator drives the detector
+  // this way from a compact trace.
+  updateMetrics(metrics) {
+    this.transitions = [];
+    return this.process(metrics, null);
+  }
+
+  process(metrics, quality) {
+    if (this.state === "failed") return this.result(metrics);
+
+    const elapsed = this.updateFrameRate(metrics.timestamp);
+    metrics.dt = this.frameRate.step(elapsed);
+    // Recalibrating after a pause doesn't count against the time limit
+    if (this.state === "calibrating" && this.challengeStartedAt !== null) this.challengeStartedAt += elapsed;
+    const held = this.config.qualityGate && !this.updateQuality(quality, metrics);
+    this.reaction.observe(metrics);
+    if (held) {
+      this.hold(elapsed);
+      return this.result(metrics);
+    }
+
+    if (!this.calibrated && typeof metrics.yaw === "number") {
+      this.yawSum += metrics.yaw * metrics.dt;
+      this.yawMs += metrics.dt;
+    }
+    this.updateBlink(metrics.earL, metrics.earR, metrics.dt);
+    if (this.state === "challenge") this.updateChallenge(metrics, elapsed);
+    return this.result(metrics);
+  }
+
+  noFace(timestamp) {
+    this.transitions = [];
+    // A returning face has to pass the quality gate again
+    this.quality.reset();
+    this.updateFrameRate(timestamp);
+    if (this.config.continuityCheck && this.state !== "failed" && this.state !== "completed") {
+      this.handleContinuity(this.continuity.lost(timestamp));
+    }
+    return this.result(null);
+  }
+
+  // Frames stopped since the last one and start again at `timestamp`. The
+  // pause doesn't count against the time limit, and the current step starts
+  // over from the EAR calibration: the light or the pose may have changed,
+  // and the returning face has to pass the continuity check like one that
+  // left the frame.
+  resume(timestamp) {
+    if (this.state === "failed" || this.state === "completed" || this.lastTimestamp === null) return;
+    if (this.challengeStartedAt !== null) this.challengeStartedAt += timestamp - this.lastTimestamp;
+    if (this.config.continuityCheck) this.continuity.resume(timestamp);
+    this.frameRate.restart();
+    this.quality.reset();
+    this.challengeState = null;
+    this.reaction.discard();
+    this.earThreshold = null;
+    this.calibratedMs = 0;
+    this.calibrationSamples = 0;
+    this.earAverageOpen = 0;
+    this.smoothEAR = null;
+    this.yawSum = 0;
+    this.yawMs = 0;
+    this.earClosedMs = 0;
+    this.blinkLatched = false;
+    this.openMsAfterBlink = 0;
+  }
+
+  result(metrics) {
+    return {
+      state: this.state,
+      transitions: this.transitions,
+      progress: this.getChallengeProgress(),
+      calibration: Math.min(Math.round((this.calibratedMs / this.config.calibrationMs) * 100), 100),
+      frameRate: this.frameRate.summary(),
+      quality: this.config.qualityGate ? this.quality.status() : null,
+      metrics
+    };
+  }
+
+  // Every frame, face or not. Returns the ms since the previous frame.
+  updateFrameRate(timestamp) {
+    const { dt, changed } = this.frameRate.update(timestamp);
+    this.firstTimestamp ??= timestamp;
+    this.lastTimestamp = timestamp;
+    if (changed) {
+      const { low, fps, dropped } = this.frameRate.summary();
+      this.transitions.push({ type: "frameRate", low, fps, dropped });
+    }
+    return dt;
+  }
+
+  // Returns true when the frame is good enough to act on
+  updateQuality(sample, metrics) {
+    const current = this.state === "challenge" ? this.current : null;
+    const checkPose = !(current && CHALLENGE_TYPES[current.key].movesHead);
+    const status = this.quality.update(sample, metrics, checkPose);
+    if (status.changed) this.transitions.push({ type: "quality", ok: status.ok, issue: status.issue, message: status.message });
+    return status.ok;
+  }
+
+  // A held frame doesn't count against the challenge's time limit
+  hold(elapsed) {
+    if (this.state !== "challenge" || !this.challengeState) return;
+    this.challengeStartedAt += elapsed;
+    this.reaction.hold(elapsed);
+    CHALLENGE_TYPES[this.current.key].hold?.(this.challengeState);
+  }
+
+  spoof(reason) {
+    this.failed = true;
+    this.failure = { kind: "spoof", reason };
+    if (this.current?.startedAt !== undefined) this.endChallenge(this.current, this.lastTimestamp);
+    this.transitions.push({ type: "spoof", reason, challenge: this.current, index: this.currentIndex });
+  }
+
+  // Continuity verdicts: a face that came back after a while starts the
+  // current step again; a swapped, extra or long-gone face fails
+  handleContinuity(verdict) {
+    if (!verdict || this.state === "completed") return;
+    if (verdict.action === "fail") {
+      this.spoof(verdict.reason);
+    } else if (this.state === "calibrating") {
+      this.calibratedMs = 0;
+      this.calibrationSamples = 0;
+      this.earAverageOpen = 0;
+      this.smoothEAR = null;
+    } else if (this.challengeState) {
+      this.challengeState = null;
+      this.reaction.discard();
+      this.transitions.push({ type: "challengeReset", reason: verdict.reason, challenge: this.current, index: this.currentIndex });
+    }
+  }
+
+  getChallengeProgress() {
+    const current = this.current;
+    if (!current || !this.challengeState) return 0;
+    const p = CHALLENGE_TYPES[current.key].progress(this.challengeState, current.params, this);
+    return Math.min(Math.max(p, 0) * 100, 100);
+  }
+
+  updateChallenge(metrics, elapsed) {
+    const current = this.current;
+    const type = CHALLENGE_TYPES[current.key];
+    if (!this.challengeState) {
+      this.challengeState = type.init(this);
+      // A reset challenge keeps its original start, so its time limit still
+      // holds. With the cue on it is prompted again: the reset dropped the
+      // prompt, and without one "Now" would never come.
+      const fresh = this.challengeStartedAt === null;
+      if (fresh) {
+        this.challengeStartedAt = metrics.timestamp;
+        current.startedAt ??= metrics.timestamp;
+      }
+      if (fresh || this.reaction.config.cue) {
+        const phase = this.reaction.prompt(current, metrics.timestamp);
+        if (phase) this.transitions.push({ type: "cue", phase, miss: null, challenge: current, index: this.currentIndex });
+      }
+    }
+
+    this.trackPeak(current, type, metrics);
+    const reaction = this.reaction.update(metrics);
+    if (reaction) {
+      if (reaction.reason) {
+        this.spoof(reaction.reason);
+        return;
+      }
+      if (reaction.changed) this.transitions.push({ type: "cue", phase: reaction.phase, miss: reaction.miss, challenge: current, index: this.currentIndex });
+      // Whatever was done before "Now" doesn't count, nor against the time limit
+      if (reaction.miss) this.challengeState = type.init(this);
+      if (reaction.phase === "wait") this.challengeStartedAt += elapsed;
+    }
+
+    if (current.timeoutSec > 0 && metrics.timestamp - this.challengeStartedAt > current.timeoutSec * 1000) {
+      if ((current.retried ?? 0) < (current.retries ?? 0)) {
+        current.retried = (current.retried ?? 0) + 1;
+        this.challengeState = null;
+        this.challengeStartedAt = null;
+        this.reaction.discard();
+        this.transitions.push({ type: "challengeRetry", reason: "challengeTimeout", retry: current.retried, challenge: current, index: this.currentIndex });
+        return;
+      }
+      this.failed = true;
+      this.failure = { kind: "timeout", reason: "challengeTimeout" };
+      this.endChallenge(current, metrics.timestamp);
+      this.transitions.push({ type: "challengeTimeout", challenge: current, index: this.currentIndex });
+      return;
+    }
+
+    // Nothing done before "Now" counts, so nothing can complete before it
+    if (reaction?.phase === "wait") return;
+
+    if (type.update(this.challengeState, current.params, metrics, this)) {
+      const reason = type.verify ? type.verify(this.challengeState, current.params) : null;
+      const reaction = this.reactionVerdict(current);
+      if ((reason || reaction) && !this.config.riskScore) {
+        this.spoof(reason || reaction);
+        return;
+      }
+      // With the risk score a failed check marks the challenge instead (see risk.js)
+      if (reason) {
+        current.finding = reason;
+        this.challengeState.outcome = "suspicious";
+      }
+      if (this.config.debug) console.log(`Challenge "${current.key}" completed`);
+      this.advanceChallenge(metrics.timestamp);
+    }
+  }
+
+  // Keeps the challenge's reaction record; returns (and notes in the record
+  // as `flag`) a spoof reason when it gives one away
+  reactionVerdict(challenge) {
+    const record = this.reaction.complete();
+    if (!record) return null;
+    challenge.reaction = record;
+    record.flag = this.config.reactionCheck ? this.reaction.verdict(record) : null;
+    return record.flag;
+  }
+
+  // Largest change of the challenge's response since its first frame
+  trackPeak(challenge, type, metrics) {
+    const value = type.response?.(metrics, challenge.params);
+    if (typeof value !== "number" || !isFinite(value)) return;
+    this.responseFrom ??= value;
+    challenge.peak = Math.max(challenge.peak ?? 0, Math.abs(value - this.responseFrom));
+  }
+
+  endChallenge(challenge, timestamp) {
+    challenge.endedAt = timestamp;
+    challenge.baseline = this.challengeState?.base ?? null;
+    challenge.peak ??= null;
+    this.responseFrom = null;
+  }
+
+  advanceChallenge(timestamp) {
+    const current = this.current;
+    this.endChallenge(current, timestamp);
+    current.done = true;
+    // Active time on the challenge; frames held by the quality gate don't count
+    current.durationMs = timestamp - this.challengeStartedAt;
+    current.outcome = this.challengeState?.outcome || "passed";
+    this.challengeState = null;
+    this.challengeStartedAt = null;
+    this.transitions.push({ type: "challengeCompleted", challenge: current, index: this.currentIndex, outcome: current.outcome });
+    this.currentIndex++;
+    if (this.currentIndex >= this.sequence.length) {
+      this.completed = true;
+      this.transitions.push({ type: "completed" });
+    } else {
+      this.transitions.push({ type: "challengeStarted", challenge: this.current, index: this.currentIndex });
+    }
+  }
+
+  // dt: ms of frame time since the previous frame (metrics.dt)
+  updateBlink(earL, earR, dt) {
+    const config = this.config;
+    let earRaw = (earL + earR) / 2;
+    // Smooth EAR with a time constant, so it lags the same at any frame rate
+    if (this.smoothEAR === null) this.smoothEAR = earRaw;
+    this.smoothEAR = this.smoothEAR + smoothing(dt, config.smoothTauMs) * (earRaw - this.smoothEAR);
+
+    // Calibration phase: gather open-eye EAR
+    if (this.earThreshold === null) {
+      this.earAverageOpen += this.smoothEAR;
+      this.calibrationSamples++;
+      this.calibratedMs += dt;
+      if (this.calibratedMs >= config.calibrationMs) {
+        const avg = this.earAverageOpen / this.calibrationSamples;
+        this.earThreshold = avg * 0.75; // threshold relative to average
+        if (this.earThreshold > 0.28) this.earThreshold = 0.28; // clamp upper bound
+        if (this.earThreshold < 0.16) this.earThreshold = 0.16; // clamp lower bound
+        this.baseYaw = this.yawMs > 0 ? this.yawSum / this.yawMs : null;
+        if (config.debug) console.log("Calibrated EAR threshold:", this.earThreshold.toFixed(3));
+        this.transitions.push({ type: "calibrated", earThreshold: this.earThreshold, baseYaw: this.baseYaw });
+        this.transitions.push({ type: "challengeStarted", challenge: this.current, index: this.currentIndex });
+      } else {
+        return; // do not process blink yet
+      }
+    }
+
+    const threshold = this.earThreshold ?? config.fallbackEAR;
+    if (this.smoothEAR < threshold) {
+      this.earClosedMs += dt;
+      this.openMsAfterBlink = 0;
+    } else {
+      if (this.earClosedMs >= config.earClosedMs && !this.blinkLatched) {
+        this.blinkCount++;
+        this.blinkLatched = true;
+        this.transitions.push({ type: "blink", count: this.blinkCount, closedMs: this.earClosedMs });
+        if (config.debug) console.log("Blink detected", this.blinkCount);
+      }
+      this.earClosedMs = 0;
+      this.openMsAfterBlink += dt;
+      if (this.blinkLatched && this.openMsAfterBlink >= config.minOpenMsAfterBlink) {
+        this.blinkLatched = false;
+        this.openMsAfterBlink = 0;
+      }
+    }
+  }
+}
@@ -0,0 +1,39 @@
+// Minimal event emitter shared by sessions and analyzers.
+// Kept DOM-free so the same classes can run under Node.
+export class Emitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(type, fn) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(fn);
+    return () => this.off(type, fn);
+  }
+
+  once(type, fn) {
+    const off = this.on(type, (detail) => {
+      off();
+      fn(detail);
+    });
+    return off;
+  }
+
+  off(type, fn) {
+    const set = this.listeners.get(type);
+    if (set) set.delete(fn);
+  }
+
+  emit(type, detail) {
+    const set = this.listeners.get(type);
+    if (!set) return;
+    // Copy so listeners can unsubscribe while being called
+    for (const fn of [...set]) {
+      try {
+        fn(detail);
+      } catch (err) {
+        console.error(`Listener for "${type}" failed:`, err);
+      }
+    }
+  }
+}
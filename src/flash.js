@@ -0,0 +1,125 @@
+// Screen color-flash reflection check (pure, no DOM)
+//
+// The page flashes a random sequence of saturated colors while the face is
+// sampled. Light from the screen tints the skin, so the face chromaticity
+// (r, g, b divided by their sum) has to shift towards each emitted color,
+// in the same order, a camera-latency later. A prerecorded or synthesized
+// face can't know the sequence in advance.
+
+export const FLASH_COLORS = {
+  red: [1, 0, 0],
+  green: [0, 1, 0],
+  blue: [0, 0, 1],
+  yellow: [1, 1, 0],
+  cyan: [0, 1, 1],
+  magenta: [1, 0, 1]
+};
+
+const LAG_STEP_MS = 33;
+
+// Reduced-flash setting: longer, softer flashes faded in and out
+const REDUCED_INTENSITY = 0.6;
+const REDUCED_FADE_MS = 250;
+
+// Random color sequence without back-to-back repeats
+export function flashSequence(length, random) {
+  const names = Object.keys(FLASH_COLORS);
+  const out = [];
+  while (out.length < length) {
+    const name = names[Math.floor(random() * names.length)];
+    if (name !== out[out.length - 1]) out.push(name);
+  }
+  return out;
+}
+
+export function chromaticity({ r, g, b }) {
+  const sum = r + g + b || 1;
+  return [r / sum, g / sum, b / sum];
+}
+
+// Unit direction in chromaticity space that a color's light pushes skin towards
+function expectedShift(name) {
+  const c = FLASH_COLORS[name];
+  const sum = c[0] + c[1] + c[2];
+  const v = c.map(x => x / sum - 1 / 3);
+  const len = Math.hypot(...v);
+  return v.map(x => x / len);
+}
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const mean = (list) => list.reduce((acc, v) => acc.map((x, i) => x + v[i] / list.length), [0, 0, 0]);
+
+// Effective timing for a flash challenge's params
+export function flashTiming(params, reducedFlash = false) {
+  return {
+    leadMs: params.leadMs,
+    flashMs: reducedFlash ? Math.max(params.flashMs, params.reducedFlashMs) : params.flashMs,
+    settleMs: params.settleMs + (reducedFlash ? REDUCED_FADE_MS : 0),
+    maxLagMs: params.maxLagMs,
+    intensity: reducedFlash ? REDUCED_INTENSITY : 1,
+    fadeMs: reducedFlash ? REDUCED_FADE_MS : 0
+  };
+}
+
+// Emitted color at `elapsed` ms into the challenge, or null between flashes
+export function flashAt(sequence, timing, elapsed) {
+  const i = Math.floor((elapsed - timing.leadMs) / timing.flashMs);
+  return elapsed >= timing.leadMs && i < sequence.length ? sequence[i] : null;
+}
+
+export function flashDuration(sequence, timing) {
+  return timing.leadMs + sequence.length * timing.flashMs + timing.maxLagMs;
+}
+
+// samples: [{ t: ms since challenge start, chroma: [r, g, b], lum }]
+// Returns { outcome: "passed" | "mismatch" | "inconclusive", reason, lagMs, matches, response }
+export function evaluateFlash(samples, sequence, timing, params) {
+  const inconclusive = (reason) => ({ outcome: "inconclusive", reason, lagMs: null, matches: 0, response: 0 });
+  const baseline = samples.filter(s => s.t < timing.leadMs);
+  if (baseline.length < 3) return inconclusive("flashNoBaseline");
+  const lum = baseline.reduce((a, s) => a + s.lum, 0) / baseline.length;
+  if (lum < params.minLuminance) return inconclusive("flashTooDark");
+  if (lum > params.maxLuminance) return inconclusive("flashTooBright");
+  const base = mean(baseline.map(s => s.chroma));
+
+  // Observed chromaticity shift of each flash, with the camera lagging by lagMs
+  const shifts = (lagMs) => sequence.map((_, i) => {
+    const from = timing.leadMs + i * timing.flashMs + lagMs + timing.settleMs;
+    const to = timing.leadMs + (i + 1) * timing.flashMs + lagMs;
+    const seg = samples.filter(s => s.t >= from && s.t < to);
+    return seg.length ? mean(seg.map(s => s.chroma)).map((x, k) => x - base[k]) : null;
+  });
+
+  // Timing: the lag where the shifts line up best with the emitted colors
+  let best = null;
+  for (let lag = 0; lag <= timing.maxLagMs; lag += LAG_STEP_MS) {
+    const obs = shifts(lag);
+    if (obs.some(v => v === null)) continue;
+    const fit = obs.reduce((a, v, i) => a + dot(v, expectedShift(sequence[i])), 0);
+    if (!best || fit > best.fit) best = { lag, fit, obs };
+  }
+  if (!best) return inconclusive("flashNoFrames");
+
+  const response = best.obs.reduce((a, v) => a + Math.hypot(...v), 0) / best.obs.length;
+  // Ambient light is in range, so a face that doesn't pick up the screen
+  // light at all is not in front of it
+  if (response < params.minResponse * timing.intensity) {
+    return { outcome: "mismatch", reason: "noReflection", lagMs: best.lag, matches: 0, response };
+  }
+
+  // Order: each flash has to look most like the color that was emitted
+  const names = Object.keys(FLASH_COLORS);
+  const matches = best.obs.filter((v, i) => {
+    const guess = names.reduce((a, n) => (dot(v, expectedShift(n)) > dot(v, expectedShift(a)) ? n : a));
+    return guess === sequence[i];
+  }).length;
+  const passed = matches / sequence.length >= params.minMatch;
+  return {
+    outcome: passed ? "passed" : "mismatch",
+    reason: passed ? null : "reflectionMismatch",
+    lagMs: best.lag,
+    matches,
+    response
+  };
+}
+
@@ -0,0 +1,52 @@
+// Landmark geometry helpers (pure, no DOM)
+
+// Eye landmark indices (MediaPipe FaceMesh style)
+export const LEFT_EYE = [33, 160, 158, 133, 153, 144];
+export const RIGHT_EYE = [362, 385, 387, 263, 373, 380];
+
+export const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Extract yaw (left/right rotation) from transformation matrix
+export function getYawFromMatrix(matrix) {
+  // Matrix is a 4x4 transformation matrix in column-major order
+  // Extract rotation components
+  const m00 = matrix.data[0];
+  const m02 = matrix.data[2];
+
+  // Calculate yaw angle in radians, then convert to degrees
+  const yaw = Math.atan2(m02, m00) * (180 / Math.PI);
+  return yaw;
+}
+
+// Pitch (nod up/down) from the same column-major matrix; positive = chin down
+export function getPitchFromMatrix(matrix) {
+  const m21 = matrix.data[6];
+  const m22 = matrix.data[10];
+  return Math.atan2(m21, m22) * (180 / Math.PI);
+}
+
+// Roll (head tilt toward a shoulder); negative = tilted left in camera view
+export function getRollFromMatrix(matrix) {
+  const m10 = matrix.data[1];
+  const m00 = matrix.data[0];
+  return Math.atan2(m10, m00) * (180 / Math.PI);
+}
+
+export function computeEAR(lms, ids) {
+  const p1 = lms[ids[0]], p2 = lms[ids[1]], p3 = lms[ids[2]], p4 = lms[ids[3]], p5 = lms[ids[4]], p6 = lms[ids[5]];
+  const vertical = dist(p2, p6) + dist(p3, p5);
+  const horizontal = dist(p1, p4) * 2.0; // standard formula denominator (2*horizontal)
+  if (horizontal === 0) return 0;
+  return vertical / horizontal;
+}
+
+export function faceBounds(landmarks) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const p of landmarks) {
+    if (p.x < minX) minX = p.x;
+    if (p.y < minY) minY = p.y;
+    if (p.x > maxX) maxX = p.x;
+    if (p.y > maxY) maxY = p.y;
+  }
+  return { minX, minY, maxX, maxY, cx: (minX + maxX) / 2, cy: (minY + maxY) / 2, w: (maxX - minX), h: (maxY - minY) };
+}
@@ -0,0 +1,124 @@
+// Localization (pure, no DOM)
+//
+// Texts come from message catalogs keyed by message ID (see messages.js for
+// the IDs and the English catalog). Integrators pass their own catalogs as
+// { "<locale>": { "<id>": text } }; a catalog can cover a whole language
+// ("de") or one region ("pt-BR"), and may override English texts too. A
+// lookup walks the locale, its language, then English.
+//
+// The locale is config.locale or, when null, the first of the browser's
+// preferred languages that some catalog covers. Machine-readable codes
+// (issue, reason and error codes) never go through a catalog: events and
+// results carry the code next to the translated text.
+import { MESSAGES } from "./messages.js";
+
+const BUILT_IN = { en: MESSAGES };
+
+// Written right to left; used when Intl.Locale can't tell
+const RTL_LANGUAGES = ["ar", "arc", "ckb", "dv", "fa", "he", "iw", "ks", "ku", "ps", "sd", "ug", "ur", "yi"];
+
+const language = (locale) => locale.toLowerCase().split(/[-_]/)[0];
+
+// Fills {name} placeholders; numbers are formatted for the locale. A plural
+// message picks its form by params.count.
+export function formatMessage(message, params = {}, locale = "en") {
+  if (message && typeof message === "object") {
+    const count = params.count;
+    const form = typeof count === "number" ? new Intl.PluralRules(locale).select(count) : "other";
+    message = message[form] ?? message.other;
+  }
+  return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return match;
+    return typeof value === "number" ? value.toLocaleString(locale) : String(value);
+  });
+}
+
+// "ltr" or "rtl"
+export function textDirection(locale) {
+  try {
+    const info = new Intl.Locale(locale);
+    const direction = (info.getTextInfo?.() ?? info.textInfo)?.direction;
+    if (direction) return direction;
+  } catch (e) { /* unknown tag: fall back to the list */ }
+  return RTL_LANGUAGES.includes(language(locale)) ? "rtl" : "ltr";
+}
+
+// First preferred locale a catalog covers (exactly or by language), else
+// English. The preferred tag is kept, so "de-AT" over a "de" catalog still
+// formats numbers and plurals the Austrian way.
+export function detectLocale(available, preferred = typeof navigator !== "undefined" ? navigator.languages || [navigator.language] : []) {
+  const tags = available.map(tag => tag.toLowerCase());
+  for (const tag of preferred) {
+    if (!tag) continue;
+    if (tags.includes(tag.toLowerCase()) || tags.includes(language(tag))) return tag;
+  }
+  return "en";
+}
+
+// The English texts of one group as { code: text }, e.g. messageGroup("quality")
+export function messageGroup(prefix) {
+  const group = {};
+  for (const [id, text] of Object.entries(MESSAGES)) {
+    if (id.startsWith(`${prefix}.`)) group[id.slice(prefix.length + 1)] = text;
+  }
+  return group;
+}
+
+export class Localizer {
+  // locale: BCP 47 tag or null to detect; catalogs: integrator catalogs
+  constructor({ locale = null, catalogs = {} } = {}) {
+    this.catalogs = {};
+    for (const source of [BUILT_IN, catalogs]) {
+      for (const [tag, messages] of Object.entries(source)) {
+        const key = tag.toLowerCase();
+        this.catalogs[key] = { ...this.catalogs[key], ...messages };
+      }
+    }
+    this.setLocale(locale);
+  }
+
+  setLocale(locale = null) {
+    this.locale = locale || detectLocale(Object.keys(this.catalogs));
+    const tag = this.locale.toLowerCase();
+    this.chain = [...new Set([tag, language(tag), "en"])].map(t => this.catalogs[t]).filter(Boolean);
+    this.dir = textDirection(this.locale);
+  }
+
+  // Raw catalog entry, or undefined when no catalog has the ID
+  lookup(id) {
+    for (const catalog of this.chain) {
+      if (catalog[id] !== undefined) return catalog[id];
+    }
+    return undefined;
+  }
+
+  // Formatted text; an unknown ID comes back as is, so it shows up in testing
+  t(id, params = {}) {
+    const message = this.lookup(id);
+    return message === undefined ? id : formatMessage(message, params, this.locale);
+  }
+
+  // Text of a reason code (see risk.js)
+  reason(code) {
+    return this.lookup(`reason.${code}`) === undefined ? code : this.t(`reason.${code}`);
+  }
+
+  // A challenge's { label, instruction, hint } in this locale
+  challenge(challenge) {
+    const id = `challenge.${challenge.key}`;
+    const label = this.t(`${id}.label`, challenge.params);
+    const instruction = this.lookup(`${id}.instruction`) === undefined ? label : this.t(`${id}.instruction`, challenge.params);
+    return { label, instruction, hint: this.t(`${id}.hint`, challenge.params) };
+  }
+
+  // "a, b and c" in the locale's words
+  list(items) {
+    return typeof Intl.ListFormat === "function"
+      ? new Intl.ListFormat(this.locale, { type: "conjunction" }).format(items)
+      : items.join(", ");
+  }
+}
+
+// English texts, for pure modules that have no Localizer of their own
+export const ENGLISH = new Localizer({ locale: "en" });
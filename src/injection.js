@@ -0,0 +1,156 @@
+// Injected-stream detection (pure, no DOM)
+//
+// A virtual camera driver or a browser extension can feed getUserMedia
+// anything, including a deepfake, and every check downstream then runs on
+// made-up pixels. What gives an injected stream away is the source rather
+// than the face:
+//   virtualCamera      - a track label from a known virtual camera
+//   unusualCameraMode  - a resolution or frame rate no webcam reports, or a
+//                        device that offers exactly one mode
+//   regularFrameTiming - frame intervals with none of a sensor's jitter
+//   duplicateFrames    - the same frame delivered again
+//   cleanNoise         - flat regions without sensor noise (rendered frames)
+// Each finding is a reason code (see risk.js) and lowers the injection score.
+// The session feeds the track description, the frame times and the pixel
+// signals (see pixels.js).
+
+// Labels of common virtual camera drivers and webcam emulators
+export const VIRTUAL_CAMERA_PATTERNS = [
+  /\bobs\b/i, /virtual/i, /manycam/i, /snap camera/i, /xsplit/i, /splitcam/i,
+  /e2esoft|vcam/i, /droidcam/i, /epoccam/i, /iriun/i, /\bcamo\b/i, /mmhmm/i,
+  /\bndi\b/i, /youcam/i, /fake/i, /dummy/i, /loopback/i, /v4l2 ?loopback/i
+];
+
+// Frame rates webcams are driven at
+const COMMON_FRAME_RATES = [5, 7.5, 10, 12, 15, 20, 24, 25, 29.97, 30, 48, 50, 59.94, 60, 90, 120];
+// Width:height of sensor modes (either orientation)
+const COMMON_ASPECTS = [4 / 3, 16 / 9, 16 / 10, 3 / 2, 5 / 4, 1, 11 / 9];
+
+const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+function std(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length);
+}
+
+// Sensor noise (gray levels) in the flat parts of a grayscale image (see
+// toGray), by Immerkær's Laplacian-difference estimate restricted to pixels
+// without edges. Null when there is too little flat area.
+export function sensorNoise(img, maxGradient = 6, minPixels = 200) {
+  const { gray, width, height } = img;
+  let sum = 0, n = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const gx = gray[i + 1] - gray[i - 1];
+      const gy = gray[i + width] - gray[i - width];
+      if (Math.abs(gx) + Math.abs(gy) > maxGradient) continue;
+      const lap = gray[i - width - 1] - 2 * gray[i - width] + gray[i - width + 1]
+        - 2 * gray[i - 1] + 4 * gray[i] - 2 * gray[i + 1]
+        + gray[i + width - 1] - 2 * gray[i + width] + gray[i + width + 1];
+      sum += Math.abs(lap);
+      n++;
+    }
+  }
+  return n >= minPixels ? (Math.sqrt(Math.PI / 2) * sum) / (6 * n) : null;
+}
+
+export class InjectionAnalyzer {
+  constructor(config = {}) {
+    this.config = {
+      minIntervals: 90,         // frame intervals needed before judging their jitter
+      minJitterMs: 0.1,         // interval std below this is machine-timed
+      maxIntervalMs: 250,       // longer gaps (pauses, stalls) aren't measured
+      minPixelSamples: 60,      // pixel samples needed before judging duplicates and noise
+      maxDuplicateRatio: 0.05,  // share of duplicated frames tolerated
+      minNoise: 0.5,            // median sensor noise (gray levels) a camera shows
+      // Score multiplier per finding; the product is the injection score
+      penalties: { virtualCamera: 0.15, unusualCameraMode: 0.6, regularFrameTiming: 0.35, duplicateFrames: 0.3, cleanNoise: 0.4 },
+      ...config
+    };
+    this.reset();
+  }
+
+  reset() {
+    this.tracks = [];           // findings per inspected track
+    this.trackFindings = new Set();
+    this.lastFrame = null;
+    this.intervals = [];
+    this.pixelSamples = 0;
+    this.duplicates = 0;
+    this.noise = [];
+  }
+
+  // A camera track: { label, settings, capabilities } from the
+  // MediaStreamTrack (getSettings(), getCapabilities() or null)
+  inspect({ label = "", settings = {}, capabilities = null }) {
+    const found = [];
+    if (VIRTUAL_CAMERA_PATTERNS.some(p => p.test(label))) found.push("virtualCamera");
+    if (unusualMode(settings, capabilities)) found.push("unusualCameraMode");
+    for (const code of found) this.trackFindings.add(code);
+    this.tracks.push({ label, findings: found });
+    // A new source starts a new timing series
+    this.lastFrame = null;
+    return found;
+  }
+
+  // A presented frame: its media time in ms and, from
+  // requestVideoFrameCallback, the presented frame counter (or null)
+  frame(mediaTimeMs, presentedFrames = null) {
+    const last = this.lastFrame;
+    this.lastFrame = { t: mediaTimeMs, n: presentedFrames };
+    if (!last) return;
+    const frames = presentedFrames !== null && last.n !== null ? presentedFrames - last.n : 1;
+    const interval = (mediaTimeMs - last.t) / Math.max(frames, 1);
+    if (!(interval > 0) || mediaTimeMs - last.t > this.config.maxIntervalMs) return;
+    this.intervals.push(interval);
+    if (this.intervals.length > 600) this.intervals.shift();
+  }
+
+  // Pixel signals of one sampled frame (duplicate, noise; see pixels.js)
+  pixels({ duplicate = null, noise = null }) {
+    if (duplicate === null) return;
+    this.pixelSamples++;
+    if (duplicate) this.duplicates++;
+    if (noise !== null) {
+      this.noise.push(noise);
+      if (this.noise.length > 300) this.noise.shift();
+    }
+  }
+
+  get jitter() {
+    return this.intervals.length >= this.config.minIntervals ? std(this.intervals) : null;
+  }
+
+  // { score, reasons, jitterMs, duplicateRatio, noise, tracks }: score is 1
+  // without findings and null until something could be judged
+  summary() {
+    const c = this.config;
+    const reasons = [...this.trackFindings];
+    const jitter = this.jitter;
+    if (jitter !== null && jitter < c.minJitterMs) reasons.push("regularFrameTiming");
+    const enoughPixels = this.pixelSamples >= c.minPixelSamples;
+    const duplicateRatio = enoughPixels ? this.duplicates / this.pixelSamples : null;
+    if (duplicateRatio !== null && duplicateRatio > c.maxDuplicateRatio) reasons.push("duplicateFrames");
+    const noise = enoughPixels && this.noise.length >= c.minPixelSamples / 2 ? median(this.noise) : null;
+    if (noise !== null && noise < c.minNoise) reasons.push("cleanNoise");
+
+    const judged = this.tracks.length || jitter !== null || enoughPixels;
+    const score = judged ? reasons.reduce((s, code) => s * (c.penalties[code] ?? 1), 1) : null;
+    return { score, reasons, jitterMs: jitter, duplicateRatio, noise, tracks: this.tracks };
+  }
+}
+
+// Resolution or frame rate that no webcam reports, or a device that offers
+// exactly one mode
+function unusualMode(settings, capabilities) {
+  const { width, height, frameRate } = settings;
+  if (frameRate && (frameRate > 120 || !COMMON_FRAME_RATES.some(r => Math.abs(frameRate - r) < 0.5))) return true;
+  if (width && height) {
+    if (width % 2 || height % 2 || Math.max(width, height) > 7680) return true;
+    const aspect = Math.max(width, height) / Math.min(width, height);
+    if (!COMMON_ASPECTS.some(a => Math.abs(aspect - a) < 0.02)) return true;
+  }
+  const fixed = (range) => range && range.min !== undefined && range.min === range.max;
+  return !!capabilities && fixed(capabilities.width) && fixed(capabilities.height) && fixed(capabilities.frameRate);
+}
@@ -0,0 +1,174 @@
+// English message catalog (pure data)
+//
+// Every user-facing text, keyed by a stable message ID. A translation is a
+// catalog with the same IDs (see i18n.js); IDs it leaves out fall back to
+// English. Values are strings with {name} placeholders, or plural forms keyed
+// by Intl.PluralRules category ("zero", "one", "two", "few", "many",
+// "other") and chosen by the `count` parameter.
+//
+// Groups:
+//   status.*     - status line over the camera view
+//   result.*     - verdict line
+//   steps.*      - challenge panel line
+//   attempt.*    - failed attempts, cooldown and lockout (see attempts.js)
+//   announce.*   - screen reader and spoken prompts only (see announcer.js)
+//   camera.*     - camera errors; model.* - model loading errors;
+//                  signing.* - session key errors
+//   challenge.<type>.label | .instruction | .hint
+//                - challenge list text, the prompt as a sentence (defaults to
+//                  the label) and the on-canvas prompt (see challenges.js)
+//   quality.<issue> - coaching for a quality gate issue (see quality.js)
+//   reason.<code>   - reason codes of results, risk scores and spoof verdicts
+//                     (see risk.js)
+export const MESSAGES = {
+  "status.loading": "Loading models…",
+  "status.requestingCamera": "Requesting camera…",
+  "status.started": "Look at the camera and hold still to calibrate.",
+  "status.calibrating": "Calibrating… {percent}%",
+  "status.calibratingLowFps": "Calibrating… {percent}% (low frame rate)",
+  "status.calibrated": "Calibration done. {challenge}",
+  "status.positionFace": "Position your face in the oval",
+  "status.showFace": "Show your face to the camera",
+  "status.evaluating": "Evaluating result…",
+  "status.holdStill": "Hold still for a moment…",
+  "status.stopped": "Stopped.",
+  "status.inconclusive": "{challenge}: inconclusive, check the lighting",
+  "status.restart": "{reason}. Starting over: {challenge}",
+  "status.lowFrameRate": "Low frame rate ({fps} fps). Close other apps or add light",
+  "status.cueEarly": "Too early. Wait for \"Now\"",
+  "status.cueLate": "Too slow. Wait for \"Now\" again",
+  "status.now": "Now! {challenge}",
+  "status.challengeTimeout": "Time limit reached: {challenge}",
+  "status.retry": "Out of time. Let's try that again: {challenge}",
+  "status.timeout": "Time limit reached",
+  "status.spoof": "Fake detected: {reason}",
+  "status.review": "Needs review: {reasons}",
+  "status.reviewNoReason": "Needs review",
+  "status.cameraDisconnected": "Camera disconnected. Looking for another camera…",
+  "status.cameraLost": "Camera lost. Start again to continue.",
+  "status.pausedHidden": "Paused while the page is hidden",
+  "status.pausedCamera": "Camera paused…",
+  "status.resuming": "Resuming. Look at the camera…",
+
+  "result.awaiting": "Awaiting start…",
+  "result.inProgress": "Verification in progress…",
+  "result.unsupported": "Your browser doesn't support camera access",
+  "result.cameraFailed": "Camera initialization failed",
+  "result.interrupted": "Verification interrupted",
+  "result.modelFailed": "Model loading failed",
+  "result.timeout": "Verification failed: timeout.",
+  "result.spoof": "FAKE DETECTED ✗",
+  "result.spoofScore": "FAKE DETECTED ✗ (score {score})",
+  "result.review": "NEEDS REVIEW (score {score})",
+  "result.verified": "VERIFIED USER ✓",
+  "result.verifiedScore": "VERIFIED USER ✓ (score {score})",
+  "result.lastAttempt": "Last attempt: {reason}",
+  "result.signingFailed": "Verification unavailable",
+
+  "attempt.failed": "Attempt failed: {reason}.",
+  "attempt.wait": { one: "Try again in {count} second.", other: "Try again in {count} seconds." },
+  "attempt.locked": {
+    one: "Too many failed attempts. Verification is locked for {count} minute.",
+    other: "Too many failed attempts. Verification is locked for {count} minutes."
+  },
+
+  "steps.calibrating": "Calibrating…",
+  "steps.do": "Do: {challenge}",
+  "steps.wait": "Wait… then: {challenge}",
+  "steps.completing": "Completing…",
+  "steps.allDone": "All challenges done.",
+  "steps.complete": "Challenges complete.",
+
+  "announce.challenge": "Challenge {index} of {total}: {challenge}",
+  "announce.wait": "Wait…",
+  "announce.now": "Now! {challenge}",
+
+  "camera.unnamed": "Camera {number}",
+  "camera.unsupported": "Camera not supported on this device",
+  "camera.failed": "Could not access camera",
+  "camera.denied": "Camera permission denied. Please allow camera access.",
+  "camera.notFound": "No camera found on this device.",
+  "camera.inUse": "Camera is already in use by another app.",
+  "camera.overconstrained": "Camera doesn't meet requirements.",
+  "camera.insecure": "Camera access requires HTTPS on mobile devices.",
+
+  "signing.failed": "Could not set up result signing. Open the page over HTTPS.",
+
+  "model.failed": "Could not load face models. Check your connection and try again.",
+  "model.integrity": "Face model failed its integrity check. Contact the site operator.",
+  "model.offline": "Face models are not available offline yet. Connect once to download them.",
+
+  "challenge.blink.label": { one: "Blink once", other: "Blink {count}×" },
+  "challenge.blink.instruction": { one: "Blink once", other: "Blink {count} times" },
+  "challenge.blink.hint": "Blink",
+  "challenge.turnLeft.label": "Turn Head Left",
+  "challenge.turnLeft.hint": "←",
+  "challenge.turnRight.label": "Turn Head Right",
+  "challenge.turnRight.hint": "→",
+  "challenge.tiltLeft.label": "Tilt Head Left",
+  "challenge.tiltLeft.hint": "↶",
+  "challenge.tiltRight.label": "Tilt Head Right",
+  "challenge.tiltRight.hint": "↷",
+  "challenge.nod.label": "Nod Up and Down",
+  "challenge.nod.hint": "Nod ↕",
+  "challenge.mouth.label": "Open Mouth",
+  "challenge.mouth.hint": "Open Mouth",
+  "challenge.smile.label": "Smile",
+  "challenge.smile.hint": "Smile",
+  "challenge.eyebrows.label": "Raise Eyebrows",
+  "challenge.eyebrows.hint": "Raise Eyebrows",
+  "challenge.winkLeft.label": "Wink Left Eye",
+  "challenge.winkLeft.hint": "Wink ←",
+  "challenge.winkRight.label": "Wink Right Eye",
+  "challenge.winkRight.hint": "Wink →",
+  "challenge.forward.label": "Move Forward (closer)",
+  "challenge.forward.hint": "Move Closer",
+  "challenge.flash.label": "Light Check (hold still)",
+  "challenge.flash.instruction": "Light check. The screen will change color. Hold still and face the screen",
+  "challenge.flash.hint": "Hold still",
+
+  "quality.tooDark": "Move into better light",
+  "quality.backlit": "Light is behind you. Face a window or lamp",
+  "quality.tooBright": "Too much light on your face",
+  "quality.lowContrast": "Image is washed out. Improve the lighting",
+  "quality.blurry": "Hold still, the image is blurry",
+  "quality.tooFar": "Move closer",
+  "quality.tooClose": "Move back a little",
+  "quality.offCenter": "Center your face in the oval",
+  "quality.notFrontal": "Look straight at the camera",
+
+  // Risk sub-scores
+  "reason.lowMotion": "Almost no motion in the face region",
+  "reason.staticEyes": "Eyes barely move",
+  "reason.challengeFailed": "A challenge looked performed by something fake",
+  "reason.challengeInconclusive": "A challenge could not be judged",
+  "reason.reactionTiming": "Reactions to the prompts look scripted",
+  "reason.screenReplay": "Face looks like it is shown on a screen",
+  "reason.noPulse": "No pulse signal detected",
+  "reason.virtualCamera": "Camera looks like a virtual camera driver",
+  "reason.unusualCameraMode": "Camera reports a mode no webcam uses",
+  "reason.regularFrameTiming": "Frames arrive with machine-perfect timing",
+  "reason.duplicateFrames": "Video repeats identical frames",
+  "reason.cleanNoise": "Video has no camera sensor noise",
+  "reason.spoof": "Spoof detected",
+  // Findings of the checks behind them
+  "reason.multipleFaces": "Multiple faces detected",
+  "reason.differentFace": "Different face returned to the frame",
+  "reason.faceChanged": "Face changed mid-session",
+  "reason.faceLeft": "Face left the frame",
+  "reason.faceLost": "Face lost for too long",
+  "reason.flatSurface": "Flat surface detected (no parallax)",
+  "reason.implausibleDepth": "Implausible face depth",
+  "reason.noReflection": "No screen reflection on the face",
+  "reason.reflectionMismatch": "Screen reflection did not match the flashed colors",
+  "reason.flashNoBaseline": "Not enough frames before the flashes",
+  "reason.flashNoFrames": "Not enough frames during the flashes",
+  "reason.flashTooDark": "Too dark to see the screen light",
+  "reason.flashTooBright": "Too bright to see the screen light",
+  "reason.cueIgnored": "Responses do not follow the cue",
+  "reason.anticipated": "Response started before the prompt",
+  "reason.movingAtPrompt": "Response was already under way at the prompt",
+  "reason.abruptMotion": "Response motion is too abrupt",
+  "reason.constantReactions": "Reaction times are implausibly constant",
+  "reason.challengeTimeout": "Time limit reached"
+};
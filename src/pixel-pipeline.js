@@ -0,0 +1,152 @@
+// Frame pipeline for the pixel measurements (see pixels.js).
+//
+// Frames are grabbed as a VideoFrame (or a downsampled ImageBitmap where
+// WebCodecs is missing) and transferred to a worker that analyzes them on an
+// OffscreenCanvas. At most one frame is in flight: while the worker is busy,
+// new frames are skipped rather than queued, so a slow device gets fewer pixel
+// samples instead of falling behind the camera. Results arrive
+// asynchronously and the session takes the latest one on its next frame.
+// Every frame carries the run it was sent in; results of an earlier run
+// (still in flight when reset() was called) are dropped.
+//
+// Without Worker/OffscreenCanvas, with `worker: false`, or once the worker
+// fails (it doesn't load, or a frame throws in it), the same analyzer runs
+// on the main thread on a canvas of its own; `error` keeps what failed.
+import { PixelAnalyzer } from "./pixels.js";
+
+export class PixelPipeline {
+  constructor(config = {}) {
+    this.config = {
+      worker: true,             // analyze in a Worker when the browser allows it
+      sampleWidth: 480,         // see PixelAnalyzer
+      screenReplayCheck: true,
+      ...config
+    };
+    this.worker = null;
+    this.analyzer = null;
+    this.error = null;
+    this.lastId = 0;
+    this.run = 0;
+    if (this.config.worker && typeof Worker !== "undefined" && typeof OffscreenCanvas !== "undefined") {
+      try {
+        this.worker = new Worker(new URL("./pixel-worker.js", import.meta.url), { type: "module" });
+        this.worker.onmessage = (e) => this.receive(e.data);
+        this.worker.onerror = (e) => this.fallback(e);
+        this.worker.postMessage({ type: "config", config: this.analyzerConfig() });
+      } catch (err) {
+        this.fallback(err);
+      }
+    } else {
+      this.fallback();
+    }
+    this.reset();
+  }
+
+  get mode() {
+    return this.worker ? "worker" : "main thread";
+  }
+
+  analyzerConfig() {
+    return { sampleWidth: this.config.sampleWidth, screenReplayCheck: this.config.screenReplayCheck };
+  }
+
+  // Main-thread analyzer, on a private canvas (never the overlay)
+  fallback(err = null) {
+    if (err) {
+      this.error = err.message || String(err);
+      console.warn("Pixel worker unavailable, analyzing on the main thread:", this.error);
+    }
+    this.worker?.terminate();
+    this.worker = null;
+    const canvas = typeof OffscreenCanvas !== "undefined" ? new OffscreenCanvas(1, 1) : document.createElement("canvas");
+    this.analyzer = new PixelAnalyzer(canvas, this.analyzerConfig());
+    this.busy = false;
+  }
+
+  // A new run: results for frames sent before now are dropped
+  reset() {
+    this.run++;
+    this.busy = false;
+    this.sentAt = 0;
+    this.result = null;
+    this.skipped = 0;
+    this.worker?.postMessage({ type: "reset" });
+    this.analyzer?.reset();
+  }
+
+  // Hands the current video frame over unless one is still in flight.
+  // request: see PixelAnalyzer.analyze. Returns false when the frame was skipped.
+  submit(video, request) {
+    const width = video.videoWidth, height = video.videoHeight;
+    if (!width || !height) return false;
+    if (this.busy) {
+      this.skipped++;
+      return false;
+    }
+    this.sentAt = performance.now();
+    if (!this.worker) {
+      this.store(this.analyzer.analyze(video, width, height, request));
+      return true;
+    }
+
+    this.busy = true;
+    const id = ++this.lastId;
+    const run = this.run;
+    if (typeof VideoFrame === "function") {
+      let frame;
+      try {
+        frame = new VideoFrame(video);
+      } catch (err) {
+        // No decodable frame yet
+        this.busy = false;
+        return false;
+      }
+      this.post(id, run, frame, width, height, request);
+      return true;
+    }
+    const scale = Math.min(1, this.config.sampleWidth / width);
+    createImageBitmap(video, {
+      resizeWidth: Math.max(1, Math.round(width * scale)),
+      resizeHeight: Math.max(1, Math.round(height * scale)),
+      resizeQuality: "low"
+    }).then(
+      bitmap => this.post(id, run, bitmap, bitmap.width, bitmap.height, request),
+      () => { if (run === this.run) this.busy = false; }
+    );
+    return true;
+  }
+
+  post(id, run, frame, width, height, request) {
+    if (!this.worker) {
+      // The worker failed while the frame was being grabbed
+      frame.close();
+      return;
+    }
+    this.worker.postMessage({ type: "frame", id, run, frame, width, height, request }, [frame]);
+  }
+
+  receive(msg) {
+    // A worker that throws on a frame will throw on the next ones too
+    if (msg.type === "error") {
+      this.fallback(new Error(msg.message));
+      return;
+    }
+    // A result from before the last reset belongs to another run; the
+    // frame in flight now (if any) is this run's and keeps `busy`
+    if (msg.run !== this.run) return;
+    this.busy = false;
+    if (msg.type === "signals") this.store(msg.signals);
+  }
+
+  store(signals) {
+    signals.timing.roundTrip = performance.now() - this.sentAt;
+    this.result = signals;
+  }
+
+  // Latest result not taken yet, or null
+  take() {
+    const result = this.result;
+    this.result = null;
+    return result;
+  }
+}
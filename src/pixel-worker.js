@@ -0,0 +1,36 @@
+// Pixel worker: runs PixelAnalyzer on an OffscreenCanvas off the main thread.
+// Started by PixelPipeline (see pixel-pipeline.js) as a module worker.
+//
+// Messages in:
+//   { type: "config", config }   PixelAnalyzer config; sent first
+//   { type: "reset" }            a new run starts
+//   { type: "frame", id, run, frame, width, height, request }
+//                                frame is a transferred VideoFrame or ImageBitmap
+// Messages out (`run` echoed, see PixelPipeline.reset):
+//   { type: "signals", id, run, signals } or { type: "error", id, run, message }
+import { PixelAnalyzer } from "./pixels.js";
+
+let analyzer = null;
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case "config":
+      analyzer = new PixelAnalyzer(new OffscreenCanvas(1, 1), data.config);
+      break;
+    case "reset":
+      analyzer?.reset();
+      break;
+    case "frame": {
+      const { id, run, frame, width, height, request } = data;
+      try {
+        self.postMessage({ type: "signals", id, run, signals: analyzer.analyze(frame, width, height, request) });
+      } catch (err) {
+        self.postMessage({ type: "error", id, run, message: err.message });
+      } finally {
+        // VideoFrames hold decoder memory until closed
+        frame.close();
+      }
+      break;
+    }
+  }
+};
@@ -0,0 +1,136 @@
+// Pixel measurements for one video frame. Works on a canvas or an
+// OffscreenCanvas without touching the document, so the same code runs in the
+// pixel worker and, as a fallback, on the main thread (see pixel-pipeline.js).
+//
+// The frame is drawn downsampled to `sampleWidth` and everything is read from
+// that copy. Only derived numbers leave here, never pixels.
+import { sensorNoise } from "./injection.js";
+import { meanRGB } from "./pulse.js";
+import { imageQuality } from "./quality.js";
+import { ScreenReplayDetector, toGray } from "./screen-replay.js";
+import { motionEnergy } from "./spoof.js";
+
+// Side of the grid the face box is resampled to for motion energy, so
+// consecutive frames compare even when the box changes size
+const MOTION_GRID = 32;
+
+// Nearest-neighbour resample of an RGBA buffer to size x size
+function resampleRGBA(data, width, height, size) {
+  const out = new Uint8ClampedArray(size * size * 4);
+  for (let y = 0; y < size; y++) {
+    const sy = Math.min(height - 1, Math.floor(((y + 0.5) * height) / size));
+    for (let x = 0; x < size; x++) {
+      const sx = Math.min(width - 1, Math.floor(((x + 0.5) * width) / size));
+      const i = (sy * width + sx) * 4, o = (y * size + x) * 4;
+      out[o] = data[i]; out[o + 1] = data[i + 1]; out[o + 2] = data[i + 2]; out[o + 3] = 255;
+    }
+  }
+  return out;
+}
+
+export class PixelAnalyzer {
+  constructor(canvas, config = {}) {
+    this.config = {
+      sampleWidth: 480,         // frames wider than this are downsampled first
+      screenReplayCheck: true,
+      ...config
+    };
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d", { willReadFrequently: true });
+    this.reset();
+  }
+
+  reset() {
+    this.previous = null;
+    this.screenReplay = new ScreenReplayDetector();
+  }
+
+  // source: video element, ImageBitmap or VideoFrame of width x height
+  // request: { timestamp, bounds, skinRects }, boxes in normalized coordinates
+  //          (bounds from faceBounds, skinRects from skinRegions)
+  // Returns { timestamp, motionEnergy, duplicate, quality, screenReplay,
+  //           skinColor, noise, timing: { stage: ms } }
+  //   duplicate - the face region is bit-identical to the previous sample's
+  //   noise     - sensor noise in the flat parts of the region (see injection.js)
+  analyze(source, width, height, request) {
+    const timing = {};
+    let last = performance.now();
+    const lap = (stage) => {
+      const now = performance.now();
+      timing[stage] = now - last;
+      last = now;
+    };
+
+    const scale = Math.min(1, this.config.sampleWidth / width);
+    const w = Math.max(1, Math.round(width * scale)), h = Math.max(1, Math.round(height * scale));
+    if (this.canvas.width !== w || this.canvas.height !== h) {
+      this.canvas.width = w;
+      this.canvas.height = h;
+    }
+    this.ctx.drawImage(source, 0, 0, w, h);
+    lap("draw");
+
+    const { timestamp, bounds, skinRects } = request;
+    const signals = { timestamp, motionEnergy: null, duplicate: null, quality: null, screenReplay: null, skinColor: null, noise: null, timing };
+    const previous = this.previous;
+    signals.motionEnergy = this.measureMotion(bounds, w, h);
+    if (previous && this.previous !== previous) signals.duplicate = this.previous.every((v, i) => v === previous[i]);
+    lap("motion");
+    const { img, faceRect } = this.faceRegion(bounds, w, h);
+    signals.quality = imageQuality(img, faceRect);
+    lap("quality");
+    if (this.config.screenReplayCheck) {
+      signals.screenReplay = this.screenReplay.update(img, faceRect, timestamp);
+      lap("replay");
+    }
+    signals.skinColor = this.measureSkinColor(skinRects, w, h);
+    lap("skin");
+    signals.noise = sensorNoise(img);
+    lap("noise");
+    return signals;
+  }
+
+  // Motion energy inside the face bounding box
+  measureMotion(bounds, w, h) {
+    const sx = Math.max(0, Math.floor(bounds.minX * w));
+    const sy = Math.max(0, Math.floor(bounds.minY * h));
+    const sw = Math.min(w - sx, Math.floor(bounds.w * w));
+    const sh = Math.min(h - sy, Math.floor(bounds.h * h));
+    if (sw < 1 || sh < 1) return null;
+    const box = this.ctx.getImageData(sx, sy, sw, sh);
+    const grid = resampleRGBA(box.data, sw, sh, MOTION_GRID);
+    const energy = motionEnergy(grid, this.previous);
+    this.previous = grid;
+    return energy;
+  }
+
+  // Screen-replay cues need context around the face to find bezel edges and
+  // the quality gate compares the face with its surroundings, so the sampled
+  // region is the face box grown to twice its size. Returns { img, faceRect }.
+  faceRegion(bounds, w, h) {
+    const x0 = Math.max(0, Math.floor((bounds.cx - bounds.w) * w));
+    const y0 = Math.max(0, Math.floor((bounds.cy - bounds.h) * h));
+    const x1 = Math.min(w, Math.ceil((bounds.cx + bounds.w) * w));
+    const y1 = Math.min(h, Math.ceil((bounds.cy + bounds.h) * h));
+    const region = this.ctx.getImageData(x0, y0, x1 - x0, y1 - y0);
+    const img = toGray(region.data, region.width, region.height);
+    const faceRect = { x: bounds.minX * w - x0, y: bounds.minY * h - y0, w: bounds.w * w, h: bounds.h * h };
+    return { img, faceRect };
+  }
+
+  // Mean skin color over the forehead and cheek patches, for the rPPG
+  // analyzer and the light challenge
+  measureSkinColor(rects, w, h) {
+    let r = 0, g = 0, b = 0, n = 0;
+    for (const rect of rects) {
+      const sx = Math.max(0, Math.floor(rect.x * w));
+      const sy = Math.max(0, Math.floor(rect.y * h));
+      const sw = Math.min(w - sx, Math.floor(rect.w * w));
+      const sh = Math.min(h - sy, Math.floor(rect.h * h));
+      if (sw < 1 || sh < 1) continue;
+      const mean = meanRGB(this.ctx.getImageData(sx, sy, sw, sh).data);
+      r += mean.r * mean.n; g += mean.g * mean.n; b += mean.b * mean.n; n += mean.n;
+    }
+    return n ? { r: r / n, g: g / n, b: b / n } : null;
+  }
+}
@@ -0,0 +1,255 @@
+// Declarative challenge policy.
+//
+// A policy is plain JSON:
+//   {
+//     "pool": [
+//       { "type": "blink", "params": { "count": 2 }, "timeoutSec": 15 },
+//       { "type": "turnLeft", "params": { "angle": 15 } },
+//       ...
+//     ],
+//     "draw": 3,                                   // how many to pick (default: whole pool)
+//     "required": ["blink"],                       // types that are always drawn
+//     "notAdjacent": [["turnLeft", "turnRight"]],  // pairs never placed back to back
+//     "timeLimitSec": 45,                          // overrides config.timeLimitSec
+//     "requirePulse": false,                       // fail without an rPPG pulse (see pulse.js)
+//     "accessibility": "motor",                    // profile name or { avoid, timeScale }
+//     "stepRetries": 1,                            // tries again after a challenge's time limit
+//     "escalation": 0,                             // failed attempts before this one (see attempts.js)
+//     "escalateDraw": 1                            // challenges added per escalation level
+//   }
+//
+// Presets ("low", "medium", "high") cover the common assurance levels.
+//
+// A challenge that runs out of time is prompted again, with a fresh time
+// limit, up to `stepRetries` times (per pool entry as `retries`) before the
+// attempt fails. The issuer raises `escalation` after failed attempts: each
+// level draws `escalateDraw` more challenges, up to the whole pool.
+//
+// An accessibility profile lists abilities the user lacks (see `needs` in
+// challenges.js). Each pool entry needing one is swapped for a type the user
+// can perform that is at least as hard to fake, with that type's default
+// params (the swapped-out entry's params are tuned for another action), and
+// every time limit is stretched by `timeScale`. The swap is deterministic, so a server that
+// issued the policy rebuilds the same sequence from the seed.
+import { CHALLENGE_TYPES, createChallenge } from "./challenges.js";
+import { secureRandom } from "./random.js";
+
+// The original fixed behaviour: all five actions, shuffled
+export const DEFAULT_POLICY = {
+  pool: [
+    { type: "blink" },
+    { type: "turnLeft" },
+    { type: "turnRight" },
+    { type: "mouth" },
+    { type: "forward" }
+  ]
+};
+
+export const ACCESSIBILITY_PROFILES = {
+  motor: { avoid: ["head"], timeScale: 2 },   // no head movements
+  facial: { avoid: ["face"], timeScale: 1.5 } // no facial expressions
+};
+
+const ABILITIES = ["head", "face", "eyes"];
+
+export const PRESETS = {
+  low: {
+    pool: [
+      { type: "blink", params: { count: 1 }, timeoutSec: 20 },
+      { type: "turnLeft", params: { angle: 12 }, timeoutSec: 20 },
+      { type: "turnRight", params: { angle: 12 }, timeoutSec: 20 },
+      { type: "mouth", params: { jawOpen: 0.25 }, timeoutSec: 20 }
+    ],
+    draw: 2,
+    required: ["blink"],
+    timeLimitSec: 60
+  },
+  medium: {
+    pool: [
+      { type: "blink", timeoutSec: 15 },
+      { type: "turnLeft", timeoutSec: 15 },
+      { type: "turnRight", timeoutSec: 15 },
+      { type: "mouth", timeoutSec: 15 },
+      { type: "forward", timeoutSec: 15 },
+      { type: "smile", timeoutSec: 15 },
+      { type: "eyebrows", timeoutSec: 15 }
+    ],
+    draw: 3,
+    required: ["blink"],
+    notAdjacent: [["turnLeft", "turnRight"]],
+    timeLimitSec: 45
+  },
+  high: {
+    pool: [
+      { type: "blink", params: { count: 3 }, timeoutSec: 12 },
+      { type: "turnLeft", params: { angle: 20, holdMs: 200 }, timeoutSec: 12 },
+      { type: "turnRight", params: { angle: 20, holdMs: 200 }, timeoutSec: 12 },
+      { type: "mouth", params: { jawOpen: 0.4, holdMs: 170 }, timeoutSec: 12 },
+      { type: "forward", params: { growth: 0.1 }, timeoutSec: 12 },
+      { type: "smile", params: { delta: 0.4 }, timeoutSec: 12 },
+      { type: "eyebrows", params: { delta: 0.3 }, timeoutSec: 12 },
+      { type: "nod", params: { angle: 12 }, timeoutSec: 12 },
+      { type: "tiltLeft", params: { angle: 15 }, timeoutSec: 12 },
+      { type: "tiltRight", params: { angle: 15 }, timeoutSec: 12 },
+      { type: "winkLeft", timeoutSec: 12 },
+      { type: "winkRight", timeoutSec: 12 },
+      { type: "flash", timeoutSec: 12 }
+    ],
+    draw: 5,
+    required: ["blink"],
+    notAdjacent: [["turnLeft", "turnRight"], ["tiltLeft", "tiltRight"], ["winkLeft", "winkRight"]],
+    timeLimitSec: 45
+  }
+};
+
+// Accepts a preset name, a JSON string or a policy object; returns a
+// validated policy with defaults filled in. Throws on invalid input.
+export function resolvePolicy(policy = DEFAULT_POLICY) {
+  if (typeof policy === "string") {
+    policy = policy.trim().startsWith("{") ? JSON.parse(policy) : PRESETS[policy];
+    if (!policy) throw new Error("Unknown policy preset");
+  }
+  const pool = policy.pool || [];
+  if (!pool.length) throw new Error("Policy pool is empty");
+  for (const entry of pool) {
+    if (!CHALLENGE_TYPES[entry.type]) throw new Error(`Unknown challenge type: ${entry.type}`);
+  }
+  // A resolved policy keeps the draw it was issued with, so resolving it
+  // again doesn't escalate twice
+  const baseDraw = policy.baseDraw ?? policy.draw ?? pool.length;
+  if (baseDraw < 1 || baseDraw > pool.length) throw new Error(`Policy draw must be between 1 and ${pool.length}`);
+  const escalation = Math.max(0, Math.floor(policy.escalation ?? 0));
+  const draw = Math.min(pool.length, baseDraw + escalation * (policy.escalateDraw ?? 1));
+  const required = policy.required || [];
+  for (const type of required) {
+    if (!pool.some(e => e.type === type)) throw new Error(`Required challenge not in pool: ${type}`);
+  }
+  if (required.length > draw) throw new Error("Policy requires more challenges than it draws");
+  const resolved = {
+    ...policy,
+    pool,
+    draw,
+    baseDraw,
+    escalation,
+    required,
+    notAdjacent: policy.notAdjacent || [],
+    requirePulse: !!policy.requirePulse,
+    stepRetries: policy.stepRetries ?? 1
+  };
+  return adaptPolicy(resolved, resolveProfile(policy.accessibility));
+}
+
+// null, a profile name or { avoid, timeScale }; returns a profile or null
+function resolveProfile(profile) {
+  if (!profile) return null;
+  if (typeof profile === "string") {
+    if (!ACCESSIBILITY_PROFILES[profile]) throw new Error(`Unknown accessibility profile: ${profile}`);
+    profile = ACCESSIBILITY_PROFILES[profile];
+  }
+  const avoid = profile.avoid || [];
+  for (const ability of avoid) {
+    if (!ABILITIES.includes(ability)) throw new Error(`Unknown ability: ${ability}`);
+  }
+  return { avoid, timeScale: profile.timeScale ?? 1 };
+}
+
+// Swaps the entries a profile rules out (see the top of this file). A
+// resolved policy carries `timeScale` (1 without a profile); resolving it
+// again changes nothing.
+function adaptPolicy(policy, profile) {
+  if (!profile) return { ...policy, timeScale: policy.timeScale ?? 1 };
+  const allowed = (type) => !CHALLENGE_TYPES[type].needs?.some(n => profile.avoid.includes(n));
+  const types = Object.keys(CHALLENGE_TYPES).filter(allowed);
+  const used = new Set(policy.pool.filter(e => allowed(e.type)).map(e => e.type));
+  const swapped = {};
+  const repeats = [];
+  const pool = [];
+  for (const entry of policy.pool) {
+    if (allowed(entry.type)) {
+      pool.push(entry);
+      continue;
+    }
+    const strength = CHALLENGE_TYPES[entry.type].strength ?? 1;
+    // Closest strength first; ties keep the registry order
+    const candidates = types
+      .filter(t => (CHALLENGE_TYPES[t].strength ?? 1) >= strength)
+      .sort((a, b) => (CHALLENGE_TYPES[a].strength ?? 1) - (CHALLENGE_TYPES[b].strength ?? 1));
+    if (!candidates.length) throw new Error(`No accessible alternative to ${entry.type}`);
+    const type = candidates.find(t => !used.has(t));
+    swapped[entry.type] = type ?? candidates[0];
+    // The alternative runs on its defaults (see the top of this file).
+    // Every alternative is in the pool already: a repeat is only kept when
+    // the pool would otherwise be too small to draw from
+    if (!type) {
+      repeats.push({ type: candidates[0], timeoutSec: entry.timeoutSec, retries: entry.retries });
+      continue;
+    }
+    used.add(type);
+    pool.push({ type, timeoutSec: entry.timeoutSec, retries: entry.retries });
+  }
+  pool.push(...repeats.slice(0, Math.max(0, policy.draw - pool.length)));
+  const swap = (type) => swapped[type] ?? type;
+  return {
+    ...policy,
+    pool,
+    required: [...new Set(policy.required.map(swap))],
+    notAdjacent: policy.notAdjacent.map(pair => pair.map(swap)),
+    accessibility: profile,
+    timeScale: profile.timeScale
+  };
+}
+
+// Detector config for a run under a resolved policy: an accessibility
+// profile also gives more time to react to "Now" (see reaction.js)
+export function policyDetectorConfig(config, policy) {
+  return { ...config, reaction: { timeScale: policy.timeScale ?? 1, ...config.reaction } };
+}
+
+// Session time limit in ms (0 for none) under a resolved policy
+export function policyTimeLimitMs(policy, fallbackSec) {
+  const sec = (policy.timeLimitSec ?? fallbackSec) * (policy.timeScale ?? 1);
+  return sec > 0 ? sec * 1000 : 0;
+}
+
+export async function fetchPolicy(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Could not load policy from ${url} (HTTP ${res.status})`);
+  return resolvePolicy(await res.json());
+}
+
+function shuffle(list, random) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+function violatesAdjacency(entries, pairs) {
+  for (let i = 1; i < entries.length; i++) {
+    const a = entries[i - 1].type, b = entries[i].type;
+    if (pairs.some(([x, y]) => (a === x && b === y) || (a === y && b === x))) return true;
+  }
+  return false;
+}
+
+// Draws a challenge sequence from a policy. Pass seededRandom(seed) to get the
+// sequence a server chose; the default draws from the platform CSPRNG.
+export function drawChallenges(policy = DEFAULT_POLICY, random = secureRandom) {
+  const p = resolvePolicy(policy);
+  const requiredEntries = p.required.map(type => p.pool.find(e => e.type === type));
+  const rest = p.pool.filter(e => !requiredEntries.includes(e));
+
+  // Rejection sampling; pools are small so this settles quickly
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const picked = [...requiredEntries, ...shuffle([...rest], random).slice(0, p.draw - requiredEntries.length)];
+    const ordered = shuffle(picked, random);
+    if (!violatesAdjacency(ordered, p.notAdjacent)) {
+      return ordered.map(e => ({
+        ...createChallenge(e.type, e.params, (e.timeoutSec || 0) * p.timeScale, random),
+        retries: e.retries ?? p.stepRetries
+      }));
+    }
+  }
+  throw new Error("Policy ordering constraints cannot be satisfied");
+}
@@ -0,0 +1,174 @@
+// Remote photoplethysmography (rPPG) pulse analysis (pure, no DOM)
+//
+// Blood volume changes with every heartbeat tint live skin very slightly.
+// The session averages the color of a few stable skin patches each frame;
+// this module turns that series into a pulse estimate with the CHROM method
+// (de Haan & Jeanne, 2013): two chrominance signals, band-passed to the
+// heart-rate band, combined so that shared motion / lighting changes cancel.
+// Masks, printouts and most screen replays carry no coherent pulse.
+
+const RESAMPLE_HZ = 20;
+const BAND = [0.7, 4];            // Hz, 42-240 bpm
+const PEAK_HALF_WIDTH = 0.1;      // Hz around the peak counted as signal
+const FREQ_STEP = 0.05;
+
+const clamp01 = (v) => Math.min(Math.max(v, 0), 1);
+
+// Skin patches relative to the face: mid forehead and both cheeks.
+// Returns normalized rects { x, y, w, h } (same space as the landmarks).
+export function skinRegions(landmarks, bounds) {
+  const patch = (id, w, h) => {
+    const p = landmarks[id];
+    return { x: p.x - (w * bounds.w) / 2, y: p.y - (h * bounds.h) / 2, w: w * bounds.w, h: h * bounds.h };
+  };
+  return [
+    patch(151, 0.3, 0.1),   // forehead, above the brows
+    patch(50, 0.16, 0.12),  // left cheek
+    patch(280, 0.16, 0.12)  // right cheek
+  ];
+}
+
+// Mean color of an RGBA buffer: { r, g, b, n }
+export function meanRGB(rgba) {
+  let r = 0, g = 0, b = 0;
+  const n = rgba.length / 4;
+  for (let i = 0; i < rgba.length; i += 4) {
+    r += rgba[i]; g += rgba[i + 1]; b += rgba[i + 2];
+  }
+  return n ? { r: r / n, g: g / n, b: b / n, n } : null;
+}
+
+// Second-order Butterworth section (RBJ cookbook), run forward only
+function biquad(signal, kind, f0, fs) {
+  const w = 2 * Math.PI * f0 / fs;
+  const alpha = Math.sin(w) / (2 * Math.SQRT1_2);
+  const cos = Math.cos(w);
+  const b = kind === "low"
+    ? [(1 - cos) / 2, 1 - cos, (1 - cos) / 2]
+    : [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+  const a0 = 1 + alpha, a1 = -2 * cos, a2 = 1 - alpha;
+  const out = new Float64Array(signal.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < signal.length; i++) {
+    const x = signal[i];
+    const y = (b[0] * x + b[1] * x1 + b[2] * x2 - a1 * y1 - a2 * y2) / a0;
+    x2 = x1; x1 = x; y2 = y1; y1 = y;
+    out[i] = y;
+  }
+  return out;
+}
+
+export function bandPass(signal, fs, low = BAND[0], high = BAND[1]) {
+  return biquad(biquad(signal, "high", low, fs), "low", high, fs);
+}
+
+const std = (v) => {
+  const m = v.reduce((a, b) => a + b, 0) / v.length;
+  return Math.sqrt(v.reduce((a, b) => a + (b - m) ** 2, 0) / v.length);
+};
+
+// Linear resampling of { t, v } samples (t in ms) onto a uniform grid
+function resample(samples, key, fs) {
+  const t0 = samples[0].t, t1 = samples[samples.length - 1].t;
+  const n = Math.floor(((t1 - t0) / 1000) * fs);
+  const out = new Float64Array(n);
+  let j = 0;
+  for (let i = 0; i < n; i++) {
+    const t = t0 + (i * 1000) / fs;
+    while (j < samples.length - 2 && samples[j + 1].t < t) j++;
+    const a = samples[j], b = samples[j + 1];
+    const k = b.t > a.t ? (t - a.t) / (b.t - a.t) : 0;
+    out[i] = a[key] + (b[key] - a[key]) * clamp01(k);
+  }
+  return out;
+}
+
+// CHROM pulse signal from mean skin color samples [{ t, r, g, b }]
+export function chromSignal(samples, fs = RESAMPLE_HZ) {
+  const channels = ["r", "g", "b"].map(k => {
+    const v = resample(samples, k, fs);
+    const mean = v.reduce((a, b) => a + b, 0) / v.length || 1;
+    return v.map(x => x / mean);
+  });
+  const [r, g, b] = channels;
+  const x = bandPass(r.map((_, i) => 3 * r[i] - 2 * g[i]), fs);
+  const y = bandPass(r.map((_, i) => 1.5 * r[i] + g[i] - 1.5 * b[i]), fs);
+  const alpha = std(y) > 0 ? std(x) / std(y) : 0;
+  // The first second is filter settling
+  return x.map((_, i) => x[i] - alpha * y[i]).slice(fs);
+}
+
+// Dominant frequency in the heart-rate band and the share of band power
+// around it (and its first harmonic). Returns { bpm, quality }.
+export function pulseSpectrum(signal, fs = RESAMPLE_HZ) {
+  const n = signal.length;
+  const freqs = [], powers = [];
+  for (let f = BAND[0]; f <= BAND[1] + 1e-9; f += FREQ_STEP) {
+    let re = 0, im = 0;
+    for (let i = 0; i < n; i++) {
+      const w = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1));
+      re += signal[i] * w * Math.cos(2 * Math.PI * f * i / fs);
+      im += signal[i] * w * Math.sin(2 * Math.PI * f * i / fs);
+    }
+    freqs.push(f);
+    powers.push(re * re + im * im);
+  }
+  const total = powers.reduce((a, b) => a + b, 0);
+  if (total <= 0) return { bpm: null, quality: 0 };
+  let peak = 0;
+  for (let i = 1; i < powers.length; i++) if (powers[i] > powers[peak]) peak = i;
+  const f0 = freqs[peak];
+  let inPeak = 0;
+  for (let i = 0; i < freqs.length; i++) {
+    const f = freqs[i];
+    if (Math.abs(f - f0) <= PEAK_HALF_WIDTH || Math.abs(f - 2 * f0) <= 2 * PEAK_HALF_WIDTH) inPeak += powers[i];
+  }
+  return { bpm: f0 * 60, quality: inPeak / total };
+}
+
+export class PulseAnalyzer {
+  constructor(config = {}) {
+    this.config = {
+      windowSec: 10,          // seconds of color history analysed
+      every: 10,              // recompute the spectrum every Nth sample
+      ...config
+    };
+    this.reset();
+  }
+
+  reset() {
+    this.samples = [];
+    this.count = 0;
+    this.last = { score: 0, quality: 0, bpm: null };
+  }
+
+  // rgb: mean skin color this frame ({ r, g, b }), timestamp in ms
+  update(rgb, timestamp) {
+    const c = this.config;
+    this.samples.push({ t: timestamp, r: rgb.r, g: rgb.g, b: rgb.b });
+    while (timestamp - this.samples[0].t > c.windowSec * 1000) this.samples.shift();
+    this.count++;
+    if (this.count % c.every === 0 && this.duration >= 3000) {
+      const { bpm, quality } = pulseSpectrum(chromSignal(this.samples));
+      // Noise alone puts ~0.3 of the band power around its largest bin
+      this.last = { score: clamp01((quality - 0.35) / 0.3), quality, bpm };
+    }
+    return this.summary();
+  }
+
+  get duration() {
+    const s = this.samples;
+    return s.length > 1 ? s[s.length - 1].t - s[0].t : 0;
+  }
+
+  summary() {
+    return { ...this.last, duration: this.duration, samples: this.count };
+  }
+}
+
+// Shared by the live session and trace replay: null while the analyzer has
+// not seen enough signal yet, otherwise whether a pulse was found
+export function pulsePresent(summary, config) {
+  if (!summary || summary.duration < config.pulseMinSec * 1000) return null;
+  return summary.score >= config.pulseMinScore;
+}
@@ -0,0 +1,118 @@
+// Frame quality gate (pure, no DOM)
+//
+// Calibration and challenges only make sense on usable frames: a tiny,
+// off-center, backlit or blurry face gives bad EAR thresholds and missed
+// actions. The gate combines pixel statistics measured by the session
+// (see imageQuality) with face geometry, and names the first problem so the
+// user can be coached out of it.
+
+import { messageGroup } from "./i18n.js";
+
+// Issue codes, in the order they are checked, with their English coaching
+// message (quality.<issue> in the message catalog, see messages.js)
+export const QUALITY_MESSAGES = messageGroup("quality");
+
+// Brightness/contrast (mean/std of gray), sharpness (variance of the
+// Laplacian) inside the face, and the mean brightness around it.
+// img: grayscale region (see toGray), faceRect: face box inside it in pixels.
+export function imageQuality(img, faceRect) {
+  const { gray, width, height } = img;
+  const x0 = Math.max(1, Math.floor(faceRect.x)), x1 = Math.min(width - 1, Math.floor(faceRect.x + faceRect.w));
+  const y0 = Math.max(1, Math.floor(faceRect.y)), y1 = Math.min(height - 1, Math.floor(faceRect.y + faceRect.h));
+  // Sample ~96 points across the face so the blur measure doesn't depend on resolution
+  const step = Math.max(1, Math.floor((x1 - x0) / 96));
+  let sum = 0, sq = 0, n = 0, lap = 0, lapSq = 0, ln = 0;
+  for (let y = y0; y < y1; y += step) {
+    for (let x = x0; x < x1; x += step) {
+      const v = gray[y * width + x];
+      sum += v; sq += v * v; n++;
+      if (x - step >= 0 && x + step < width && y - step >= 0 && y + step < height) {
+        const l = gray[y * width + x - step] + gray[y * width + x + step] +
+          gray[(y - step) * width + x] + gray[(y + step) * width + x] - 4 * v;
+        lap += l; lapSq += l * l; ln++;
+      }
+    }
+  }
+  let total = 0;
+  for (let i = 0; i < gray.length; i += 4) total += gray[i];
+  const all = total / Math.ceil(gray.length / 4);
+  const faceShare = n ? ((x1 - x0) * (y1 - y0)) / (width * height) : 0;
+  const brightness = n ? sum / n : 0;
+  return {
+    brightness,
+    contrast: n ? Math.sqrt(Math.max(sq / n - brightness * brightness, 0)) : 0,
+    sharpness: ln ? lapSq / ln - (lap / ln) ** 2 : 0,
+    // Mean of the region outside the face box
+    surround: faceShare < 1 ? (all - brightness * faceShare) / (1 - faceShare) : brightness
+  };
+}
+
+// First failing check for one frame, or null. `sample` may be null when no
+// pixels could be read; the geometry checks still apply then.
+export function qualityIssue(sample, metrics, params, checkPose = true) {
+  if (sample) {
+    if (sample.brightness < params.minBrightness) return "tooDark";
+    if (sample.surround - sample.brightness > params.maxBacklight) return "backlit";
+    if (sample.brightness > params.maxBrightness) return "tooBright";
+    if (sample.contrast < params.minContrast) return "lowContrast";
+    if (sample.sharpness < params.minSharpness) return "blurry";
+  }
+  const b = metrics.bounds;
+  if (b.w < params.minFaceSize) return "tooFar";
+  if (b.w > params.maxFaceSize) return "tooClose";
+  const outside = b.minX < 0 || b.minY < 0 || b.maxX > 1 || b.maxY > 1;
+  if (outside || Math.abs(b.cx - 0.5) > params.maxOffset || Math.abs(b.cy - 0.5) > params.maxOffset) return "offCenter";
+  if (checkPose && (Math.abs(metrics.yaw ?? 0) > params.maxAngle || Math.abs(metrics.pitch ?? 0) > params.maxAngle)) {
+    return "notFrontal";
+  }
+  return null;
+}
+
+// Debounced gate: flips only after the frames have agreed for `debounceMs`,
+// so a single bad frame doesn't interrupt the user. Starts closed.
+export class QualityGate {
+  constructor(config = {}) {
+    this.config = {
+      minBrightness: 60,        // mean face gray level (0..255)
+      maxBrightness: 220,
+      maxBacklight: 60,         // surroundings brighter than the face by this much
+      minContrast: 12,          // std of face gray levels
+      minSharpness: 25,         // Laplacian variance across the face
+      minFaceSize: 0.2,         // face width as a share of the frame width
+      maxFaceSize: 0.75,
+      maxOffset: 0.18,          // face center distance from the frame center
+      maxAngle: 20,             // degrees of yaw/pitch for a frontal pose
+      debounceMs: 70,           // time the frames have to agree to open or close the gate
+      ...config
+    };
+    this.reset();
+  }
+
+  reset() {
+    this.ok = false;
+    this.issue = null;
+    this.streakSince = null;
+  }
+
+  // Returns { ok, issue, message, changed }
+  update(sample, metrics, checkPose = true) {
+    const issue = qualityIssue(sample, metrics, this.config, checkPose);
+    let changed = false;
+    const t = metrics.timestamp;
+    if ((issue === null) === this.ok) {
+      this.streakSince = null;
+      // Keep coaching on the latest problem while the gate stays closed
+      if (!this.ok && issue !== this.issue) { this.issue = issue; changed = true; }
+    } else if (t - (this.streakSince ??= t) >= this.config.debounceMs) {
+      this.ok = issue === null;
+      this.issue = issue;
+      this.streakSince = null;
+      changed = true;
+    }
+    return this.status(changed);
+  }
+
+  status(changed = false) {
+    return { ok: this.ok, issue: this.issue, message: this.issue ? QUALITY_MESSAGES[this.issue] : null, changed };
+  }
+}
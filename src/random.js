@@ -0,0 +1,40 @@
+// Random sources for challenge sequences.
+//
+// Without a server seed, sequences come from the platform CSPRNG. With one,
+// a deterministic generator lets the backend rebuild exactly the sequence the
+// client was asked to perform (see verifier.js). Both return floats in [0, 1).
+
+export function secureRandom() {
+  const buf = new Uint32Array(1);
+  crypto.getRandomValues(buf);
+  return buf[0] / 2 ** 32;
+}
+
+// 32-bit FNV-1a of the seed's string form
+function hashSeed(seed) {
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32 seeded from a string or number
+export function seededRandom(seed) {
+  let a = hashSeed(seed);
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+  };
+}
+
+// Random bytes as base64url, for nonces and seeds
+export function randomToken(bytes = 16) {
+  const buf = new Uint8Array(bytes);
+  crypto.getRandomValues(buf);
+  return btoa(String.fromCharCode(...buf)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
@@ -0,0 +1,236 @@
+// Reaction timing (pure, no DOM)
+//
+// A challenge only checks that its action happens before the time limit.
+// Footage recorded in advance, or a face puppeted from a script, doesn't
+// react to the prompt the way a person does: it is already moving when the
+// prompt appears, reacts with the same delay every time, or snaps into
+// position. The tracker timestamps each prompt, finds the onset of the
+// response in the challenge's own signal (the type's `response` hook, see
+// challenges.js) and keeps its latency and motion profile.
+//
+// With `cue` on, a prompt first says "Wait…" for a random delay and then
+// "Now": the response has to start inside a short window after "Now".
+// Starting early or missing the window arms the cue again; more misses than
+// `cueMaxMisses` are a spoof.
+import { CHALLENGE_TYPES } from "./challenges.js";
+import { secureRandom } from "./random.js";
+
+// Reaction record kept per challenge (challenge.reaction):
+//   { type, promptAt, latencyMs, riseMs, peakSpeed, settled, leadIn, cued, flag }
+//   latencyMs - prompt (or "Now") to onset, null when no onset was seen
+//   riseMs    - onset to the full action, null when it wasn't reached
+//   peakSpeed - fastest change of the response, in full actions per second
+//   settled   - the face was still before the prompt, so the latency means something
+//   leadIn    - how far the response had already moved the way it went after the
+//               prompt during the window before it, in full actions (null
+//               without an onset)
+//   flag      - the verdict's spoof reason, set by the detector
+
+const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+function std(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length);
+}
+
+export class ReactionTracker {
+  constructor(config = {}, random = secureRandom) {
+    this.config = {
+      onset: 0.3,             // change from the pre-prompt value that starts a response, in full actions
+      baselineMs: 300,        // window before the prompt the neutral value comes from
+      minLatencyMs: 150,      // onsets sooner than this after the prompt were anticipated
+      minLatencySpreadMs: 30, // std of latencies across challenges below this is scripted
+      minSamples: 3,          // latencies needed before their spread is judged
+      maxSpeed: 40,           // full head movements per second; faster is a jump, not a person
+      cue: false,             // "Wait… now" prompts
+      cueMinMs: 1000,         // random wait before "Now"
+      cueMaxMs: 2500,
+      cueSettleMs: 500,       // start of the wait used to find the neutral value
+      cueWindowMs: 1500,      // the response has to start this soon after "Now"
+      cueMaxMisses: 2,        // early or missed responses tolerated per session
+      timeScale: 1,           // stretches cueWindowMs (accessibility profiles, see policy.js)
+      ...config
+    };
+    this.random = random;
+    this.reset();
+  }
+
+  reset() {
+    this.history = [];        // recent metrics, for the pre-prompt value
+    this.records = [];
+    this.active = null;
+    this.misses = 0;
+  }
+
+  // Every frame with a face, challenge or not
+  observe(metrics) {
+    this.history.push(metrics);
+    const since = metrics.timestamp - this.config.baselineMs;
+    while (this.history[0].timestamp < since) this.history.shift();
+  }
+
+  // A challenge was prompted. Returns the cue phase ("wait") or null.
+  prompt(challenge, timestamp) {
+    const response = CHALLENGE_TYPES[challenge.key].response;
+    this.active = response ? { challenge, response, phase: null } : null;
+    if (!this.active) return null;
+    if (this.config.cue) {
+      this.arm(timestamp);
+      return "wait";
+    }
+    this.start(timestamp);
+    return null;
+  }
+
+  // Neutral value from the recent history; settled when it stayed still.
+  // `drift` is its change across the window.
+  baseline() {
+    const a = this.active;
+    const values = this.history.map(m => a.response(m, a.challenge.params)).filter(v => v !== null);
+    if (!values.length) return { base: null, settled: false, drift: 0 };
+    return {
+      base: median(values),
+      settled: Math.max(...values) - Math.min(...values) < this.config.onset,
+      drift: values[values.length - 1] - values[0]
+    };
+  }
+
+  // Starts timing the response from `timestamp`
+  start(timestamp) {
+    Object.assign(this.active, this.baseline(), {
+      promptAt: timestamp,
+      onsetAt: null,
+      onsetSign: 0,
+      fullAt: null,
+      peakSpeed: 0,
+      last: null
+    });
+  }
+
+  arm(timestamp) {
+    const c = this.config;
+    Object.assign(this.active, {
+      phase: "wait",
+      armedAt: timestamp,
+      goAt: timestamp + c.cueMinMs + this.random() * (c.cueMaxMs - c.cueMinMs),
+      base: null
+    });
+  }
+
+  // Frames the quality gate holds don't count towards the latency
+  hold(elapsed) {
+    const a = this.active;
+    if (!a) return;
+    if (a.phase === "wait") {
+      a.armedAt += elapsed;
+      a.goAt += elapsed;
+    } else {
+      a.promptAt += elapsed;
+    }
+  }
+
+  // Challenge frame. Returns null without an active prompt, otherwise
+  // { phase, changed, miss, reason }: phase is the cue phase, changed when it
+  // switched this frame, miss "early" | "late" when the cue was armed again,
+  // reason a spoof reason once the misses run out.
+  update(metrics) {
+    const a = this.active;
+    if (!a) return null;
+    const c = this.config;
+    const t = metrics.timestamp;
+    const v = a.response(metrics, a.challenge.params);
+    const out = { phase: a.phase, changed: false, miss: null, reason: null };
+
+    if (a.phase === "wait") {
+      if (t - a.armedAt < c.cueSettleMs) return out;
+      if (a.base === null) a.base = this.baseline().base;
+      if (v !== null && a.base !== null && Math.abs(v - a.base) >= c.onset) return this.miss(t, out, "early");
+      if (t >= a.goAt) {
+        a.phase = out.phase = "now";
+        out.changed = true;
+        this.start(t);
+      }
+      return out;
+    }
+
+    if (v !== null && a.base !== null) {
+      if (a.last && t > a.last.t) a.peakSpeed = Math.max(a.peakSpeed, Math.abs(v - a.last.v) / ((t - a.last.t) / 1000));
+      const deviation = Math.abs(v - a.base);
+      if (a.onsetAt === null && deviation >= c.onset) {
+        a.onsetAt = t;
+        a.onsetSign = Math.sign(v - a.base);
+      }
+      if (a.fullAt === null && deviation >= 1) a.fullAt = t;
+      a.last = { t, v };
+    }
+    if (a.phase === "now" && a.onsetAt === null && t - a.promptAt > c.cueWindowMs * c.timeScale) return this.miss(t, out, "late");
+    return out;
+  }
+
+  miss(timestamp, out, kind) {
+    this.misses++;
+    if (this.misses > this.config.cueMaxMisses) {
+      out.reason = "cueIgnored";
+      return out;
+    }
+    this.arm(timestamp);
+    return { ...out, phase: "wait", changed: true, miss: kind };
+  }
+
+  // The challenge was satisfied; returns its reaction record, or null when
+  // the type has no response signal (or the prompt was abandoned)
+  complete() {
+    const a = this.active;
+    this.active = null;
+    if (!a || a.phase === "wait") return null;
+    const record = {
+      type: a.challenge.key,
+      promptAt: a.promptAt,
+      latencyMs: a.onsetAt !== null ? a.onsetAt - a.promptAt : null,
+      riseMs: a.onsetAt !== null && a.fullAt !== null ? a.fullAt - a.onsetAt : null,
+      peakSpeed: a.peakSpeed,
+      settled: a.settled,
+      leadIn: a.onsetAt !== null ? a.drift * a.onsetSign : null,
+      cued: a.phase === "now"
+    };
+    this.records.push(record);
+    return record;
+  }
+
+  // Drops the current prompt; a restarted challenge has no clean latency
+  discard() {
+    this.active = null;
+  }
+
+  // Spoof reason for a finished record (judged with the ones before it), or null
+  verdict(record) {
+    const c = this.config;
+    if (record.latencyMs !== null && record.latencyMs < c.minLatencyMs) {
+      if (record.settled) return "anticipated";
+      // Not still before the prompt, but already on the way to the action
+      if (record.leadIn >= c.onset) return "movingAtPrompt";
+    }
+    // Eyes and mouths can snap shut or open within a frame; heads can't
+    if (CHALLENGE_TYPES[record.type].movesHead && record.peakSpeed > c.maxSpeed) return "abruptMotion";
+    const latencies = this.latencies();
+    if (latencies.length >= c.minSamples && std(latencies) < c.minLatencySpreadMs) {
+      return "constantReactions";
+    }
+    return null;
+  }
+
+  latencies() {
+    return this.records.filter(r => r.settled && r.latencyMs !== null).map(r => r.latencyMs);
+  }
+
+  // { count, meanMs, spreadMs } over the settled latencies so far
+  summary() {
+    const latencies = this.latencies();
+    if (!latencies.length) return { count: 0, meanMs: null, spreadMs: null };
+    return {
+      count: latencies.length,
+      meanMs: latencies.reduce((a, b) => a + b, 0) / latencies.length,
+      spreadMs: std(latencies)
+    };
+  }
+}
@@ -0,0 +1,110 @@
+// Liveness risk score (pure, no DOM)
+//
+// Instead of failing on the first heuristic that trips, every signal becomes
+// a sub-score in 0..1 (1 = looks live), centred so the threshold it used to
+// hard-fail on maps to 0.5. The overall score is their weighted geometric
+// mean: one very weak signal pulls it down hard, several marginal ones add
+// up, and a signal that wasn't measured doesn't count. The score falls in an
+// accept, review or reject band; weak sub-scores name a reason code.
+//
+// Shared by the live session and trace replay.
+import { messageGroup } from "./i18n.js";
+import { pulsePresent } from "./pulse.js";
+
+// Reason codes with their English text (reason.<code> in the message
+// catalog, see messages.js): the sub-score codes below, and the findings of
+// the checks behind them that a spoof verdict or a challenge names. Results
+// and events carry the code; only the UI shows the text.
+export const RISK_REASONS = messageGroup("reason");
+
+export const RISK_DEFAULTS = {
+  accept: 0.7,                // overall score from which a session is accepted
+  review: 0.4,                // ... sent for review; below it is rejected
+  weak: 0.5,                  // sub-scores under this name their reason code
+  weights: { motion: 1, eyes: 1, challenges: 2, timing: 1, screenReplay: 2, pulse: 1, injection: 2 }
+};
+
+// Challenge outcome -> sub-score
+const OUTCOME_SCORES = { passed: 1, inconclusive: 0.6, suspicious: 0.05 };
+
+// Logistic step: `threshold` maps to 0.5, `scale` sets how soft the edge is
+const soft = (value, threshold, scale) => 1 / (1 + Math.exp(-(value - threshold) / scale));
+
+// Sub-scores from the end state of a run, each null when it wasn't measured:
+//   spoof        - SpoofAnalyzer summary()
+//   sequence     - the detector's challenges (outcome, reaction)
+//   screenReplay - ScreenReplayDetector summary
+//   pulse        - PulseAnalyzer summary
+//   injection    - InjectionAnalyzer summary (see injection.js)
+export function riskScores({ spoof, sequence, screenReplay, pulse, injection = null }, config) {
+  const done = sequence.filter(c => c.done);
+  const reactions = done.map(c => c.reaction).filter(Boolean);
+  const flagged = reactions.filter(r => r.flag).length;
+  return {
+    motion: spoof && spoof.motionMs >= 650 ? soft(spoof.motion, 0.8, 0.25) : null,
+    eyes: !spoof ? null : spoof.blinks > 0 ? 1 : spoof.earMs >= 1300 ? soft(spoof.earSpread, 0.005, 0.002) : null,
+    challenges: done.length ? done.reduce((a, c) => a + (OUTCOME_SCORES[c.outcome] ?? 1), 0) / done.length : null,
+    timing: reactions.length ? (flagged ? 0.25 / flagged : 1) : null,
+    screenReplay: screenReplay && screenReplay.samples >= config.screenReplayMinSamples
+      ? 1 - soft(screenReplay.score, config.screenReplayThreshold, 0.08) : null,
+    pulse: pulsePresent(pulse, config) === null ? null : soft(pulse.score, config.pulseMinScore, 0.1),
+    injection: injection ? injection.score : null
+  };
+}
+
+// Reason codes for a weak sub-score
+function reasonsFor(name, { sequence, injection }) {
+  if (name === "injection") return injection?.reasons ?? [];
+  const code = reasonFor(name, sequence);
+  return code ? [code] : [];
+}
+
+function reasonFor(name, sequence) {
+  switch (name) {
+    case "motion": return "lowMotion";
+    case "eyes": return "staticEyes";
+    case "challenges": return sequence.some(c => c.outcome === "suspicious") ? "challengeFailed" : "challengeInconclusive";
+    case "timing": return "reactionTiming";
+    case "screenReplay": return "screenReplay";
+    case "pulse": return "noPulse";
+  }
+  return null;
+}
+
+// options (RISK_DEFAULTS overrides plus):
+//   sequence  - the detector's challenges, for reason codes and findings
+//   injection - InjectionAnalyzer summary, for its reason codes
+//   required  - sub-scores the policy requires; the overall score can't exceed them
+//   fatal     - reason code of a hard spoof verdict; the score drops to 0
+// Returns { score, band: "accept" | "review" | "reject", reasons: [codes],
+//           findings: [codes], scores }
+export function assessRisk(scores, options = {}) {
+  const c = { ...RISK_DEFAULTS, ...options, weights: { ...RISK_DEFAULTS.weights, ...options.weights } };
+  const sequence = options.sequence || [];
+  const context = { sequence, injection: options.injection };
+  const reasons = [];
+  const addReasons = (name) => {
+    for (const code of reasonsFor(name, context)) if (!reasons.includes(code)) reasons.push(code);
+  };
+  let logSum = 0, weightSum = 0;
+  for (const [name, value] of Object.entries(scores)) {
+    if (value === null || !c.weights[name]) continue;
+    logSum += c.weights[name] * Math.log(Math.max(value, 0.01));
+    weightSum += c.weights[name];
+    if (value < c.weak) addReasons(name);
+  }
+  let score = weightSum ? Math.exp(logSum / weightSum) : 0;
+  for (const name of options.required || []) {
+    const value = scores[name] ?? 0;
+    score = Math.min(score, value);
+    if (value < c.weak) addReasons(name);
+  }
+  const findings = sequence.filter(s => s.finding).map(s => s.finding);
+  if (options.fatal) {
+    score = 0;
+    reasons.unshift("spoof");
+    findings.unshift(options.fatal);
+  }
+  const band = score >= c.accept ? "accept" : score >= c.review ? "review" : "reject";
+  return { score, band, reasons, findings, scores };
+}
@@ -0,0 +1,274 @@
+// Screen-replay detection (pure, works on RGBA buffers; no DOM)
+//
+// A phone or monitor replaying a real face leaves traces a live face doesn't:
+//   moire   - isolated high-frequency peaks in the spatial spectrum, where the
+//             display's pixel grid beats against the camera sensor
+//   flicker - periodic luminance from display refresh / PWM dimming, seen as
+//             a temporal oscillation or as rolling bands across rows
+//   bezel   - long straight edges (the device frame) enclosing the face
+//
+// Each cue is scored 0..1 per frame; a session score is an EMA of the
+// weighted sum, so one noisy frame can't fail a live user.
+import { smoothing } from "./timing.js";
+
+const FFT_SIZE = 64;
+const FLICKER_WINDOW_MS = 2000;
+
+const clamp01 = (v) => Math.min(Math.max(v, 0), 1);
+
+// Grayscale region of an RGBA buffer: { gray, width, height }
+export function toGray(rgba, width, height) {
+  const gray = new Float32Array(width * height);
+  for (let i = 0, j = 0; j < gray.length; i += 4, j++) {
+    gray[j] = (rgba[i] + rgba[i + 1] + rgba[i + 2]) / 3;
+  }
+  return { gray, width, height };
+}
+
+// In-place iterative radix-2 FFT
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = -2 * Math.PI / len;
+    for (let i = 0; i < n; i += len) {
+      for (let k = 0; k < len / 2; k++) {
+        const wr = Math.cos(ang * k), wi = Math.sin(ang * k);
+        const a = i + k, b = i + k + len / 2;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr; im[b] = im[a] - ti;
+        re[a] += tr; im[a] += ti;
+      }
+    }
+  }
+}
+
+// 2D power spectrum of a square FFT_SIZE patch
+function powerSpectrum(patch) {
+  const n = FFT_SIZE;
+  const re = new Float64Array(n * n), im = new Float64Array(n * n);
+  let mean = 0;
+  for (let i = 0; i < patch.length; i++) mean += patch[i];
+  mean /= patch.length;
+  // Hann window keeps the patch border from showing up as high frequency
+  for (let y = 0; y < n; y++) {
+    const wy = 0.5 - 0.5 * Math.cos(2 * Math.PI * y / (n - 1));
+    for (let x = 0; x < n; x++) {
+      const wx = 0.5 - 0.5 * Math.cos(2 * Math.PI * x / (n - 1));
+      re[y * n + x] = (patch[y * n + x] - mean) * wx * wy;
+    }
+  }
+  const rowRe = new Float64Array(n), rowIm = new Float64Array(n);
+  for (let pass = 0; pass < 2; pass++) {
+    for (let a = 0; a < n; a++) {
+      for (let b = 0; b < n; b++) {
+        const idx = pass === 0 ? a * n + b : b * n + a;
+        rowRe[b] = re[idx]; rowIm[b] = im[idx];
+      }
+      fft(rowRe, rowIm);
+      for (let b = 0; b < n; b++) {
+        const idx = pass === 0 ? a * n + b : b * n + a;
+        re[idx] = rowRe[b]; im[idx] = rowIm[b];
+      }
+    }
+  }
+  const power = new Float64Array(n * n);
+  for (let i = 0; i < power.length; i++) power[i] = re[i] * re[i] + im[i] * im[i];
+  return power;
+}
+
+// Takes a FFT_SIZE square from the center of a rect, at native resolution
+// when it fits (moire lives in the finest detail) and resampled otherwise
+function centerPatch(img, rect) {
+  const n = FFT_SIZE;
+  const size = Math.min(rect.w, rect.h);
+  const step = Math.max(1, size / n);
+  const x0 = rect.x + (rect.w - n * step) / 2;
+  const y0 = rect.y + (rect.h - n * step) / 2;
+  const patch = new Float32Array(n * n);
+  for (let y = 0; y < n; y++) {
+    const sy = Math.min(img.height - 1, Math.max(0, Math.floor(y0 + y * step)));
+    for (let x = 0; x < n; x++) {
+      const sx = Math.min(img.width - 1, Math.max(0, Math.floor(x0 + x * step)));
+      patch[y * n + x] = img.gray[sy * img.width + sx];
+    }
+  }
+  return patch;
+}
+
+// Peak-to-median ratio of the high-frequency band, mapped to 0..1
+export function moireScore(img, faceRect) {
+  const n = FFT_SIZE;
+  const power = powerSpectrum(centerPatch(img, faceRect));
+  const band = [];
+  for (let v = 0; v < n; v++) {
+    const fv = v <= n / 2 ? v : v - n;
+    for (let u = 0; u < n; u++) {
+      const fu = u <= n / 2 ? u : u - n;
+      const r = Math.hypot(fu, fv);
+      if (r >= n / 6 && r <= n / 2) band.push(power[v * n + u]);
+    }
+  }
+  band.sort((a, b) => a - b);
+  const median = band[band.length >> 1] || 0;
+  const peak = band[band.length - 1] || 0;
+  if (median <= 0) return 0;
+  // Skin and hair give ratios up to ~10^1.5; display grids go far beyond
+  return clamp01((Math.log10(peak / median) - 1.8) / 1.2);
+}
+
+// Rolling bands: autocorrelation of the high-passed row-mean profile
+export function bandingScore(img, faceRect) {
+  const rows = [];
+  const x0 = Math.max(0, Math.floor(faceRect.x)), x1 = Math.min(img.width, Math.floor(faceRect.x + faceRect.w));
+  const y0 = Math.max(0, Math.floor(faceRect.y)), y1 = Math.min(img.height, Math.floor(faceRect.y + faceRect.h));
+  if (x1 - x0 < 8 || y1 - y0 < 24) return 0;
+  for (let y = y0; y < y1; y++) {
+    let sum = 0;
+    for (let x = x0; x < x1; x++) sum += img.gray[y * img.width + x];
+    rows.push(sum / (x1 - x0));
+  }
+  // High-pass: remove the face's own shading with a 9-row moving average
+  const hp = rows.map((v, i) => {
+    let s = 0, c = 0;
+    for (let k = Math.max(0, i - 4); k <= Math.min(rows.length - 1, i + 4); k++) { s += rows[k]; c++; }
+    return v - s / c;
+  });
+  let energy = 0;
+  for (const v of hp) energy += v * v;
+  if (energy / hp.length < 0.25) return 0; // too flat to carry bands
+  let best = 0;
+  for (let lag = 3; lag <= hp.length / 3; lag++) {
+    let acc = 0;
+    for (let i = lag; i < hp.length; i++) acc += hp[i] * hp[i - lag];
+    best = Math.max(best, acc / energy);
+  }
+  return clamp01((best - 0.35) / 0.4);
+}
+
+// Temporal flicker: dominant oscillation of face luminance, sampled at
+// uneven frame times, relative to the rest of the 2-12 Hz band
+export function temporalFlickerScore(samples) {
+  if (samples.length < 24) return 0;
+  // Detrend with a 5-sample moving average so head motion doesn't count
+  const resid = samples.map((s, i) => {
+    let sum = 0, c = 0;
+    for (let k = Math.max(0, i - 2); k <= Math.min(samples.length - 1, i + 2); k++) { sum += samples[k].lum; c++; }
+    return { t: s.t / 1000, v: s.lum - sum / c };
+  });
+  const powers = [];
+  for (let f = 2; f <= 12; f += 0.5) {
+    let re = 0, im = 0;
+    for (const r of resid) {
+      re += r.v * Math.cos(2 * Math.PI * f * r.t);
+      im += r.v * Math.sin(2 * Math.PI * f * r.t);
+    }
+    powers.push(re * re + im * im);
+  }
+  const mean = powers.reduce((a, b) => a + b, 0) / powers.length;
+  if (mean <= 0) return 0;
+  const rms = Math.sqrt(resid.reduce((a, r) => a + r.v * r.v, 0) / resid.length);
+  const peakRatio = Math.max(...powers) / mean;
+  // A clear spectral line with visible amplitude (> ~0.3 gray levels)
+  return clamp01((peakRatio - 4) / 6) * clamp01(rms / 0.3);
+}
+
+// Long straight edges outside the face box: a row (or column) where most of
+// the region has a strong perpendicular gradient is a bezel-like line
+export function bezelScore(img, faceRect, edgeThreshold = 24, coverage = 0.6) {
+  const { gray, width, height } = img;
+  const g = (x, y) => gray[y * width + x];
+  const fx0 = Math.floor(faceRect.x), fx1 = Math.floor(faceRect.x + faceRect.w);
+  const fy0 = Math.floor(faceRect.y), fy1 = Math.floor(faceRect.y + faceRect.h);
+
+  const rowLine = (y) => {
+    let hits = 0;
+    for (let x = 0; x < width; x++) if (Math.abs(g(x, y + 1) - g(x, y - 1)) > edgeThreshold) hits++;
+    return hits / width >= coverage;
+  };
+  const colLine = (x) => {
+    let hits = 0;
+    for (let y = 0; y < height; y++) if (Math.abs(g(x + 1, y) - g(x - 1, y)) > edgeThreshold) hits++;
+    return hits / height >= coverage;
+  };
+  const anyLine = (from, to, test) => {
+    for (let i = Math.max(1, from); i < to; i++) if (test(i)) return true;
+    return false;
+  };
+
+  const sides = [
+    anyLine(1, fy0, rowLine),              // above
+    anyLine(fy1, height - 1, rowLine),     // below
+    anyLine(1, fx0, colLine),              // left
+    anyLine(fx1, width - 1, colLine)       // right
+  ].filter(Boolean).length;
+  return [0, 0.4, 0.75, 1, 1][sides];
+}
+
+export class ScreenReplayDetector {
+  constructor(config = {}) {
+    this.config = {
+      moireEvery: 3,         // run the FFT every Nth frame
+      weights: { moire: 0.4, flicker: 0.3, bezel: 0.3 },
+      tauMs: 300,            // time constant of the session score's EMA
+      ...config
+    };
+    this.reset();
+  }
+
+  reset() {
+    this.score = 0;
+    this.samples = 0;
+    this.frame = 0;
+    this.lastTimestamp = null;
+    this.luminance = [];
+    this.last = { moire: 0, flicker: 0, bezel: 0 };
+  }
+
+  // img: grayscale region (see toGray) around the face,
+  // faceRect: { x, y, w, h } of the face box inside that region, in pixels
+  update(img, faceRect, timestamp) {
+    const c = this.config;
+    this.frame++;
+
+    let lum = 0, count = 0;
+    for (let y = Math.max(0, Math.floor(faceRect.y)); y < Math.min(img.height, faceRect.y + faceRect.h); y += 2) {
+      for (let x = Math.max(0, Math.floor(faceRect.x)); x < Math.min(img.width, faceRect.x + faceRect.w); x += 2) {
+        lum += img.gray[y * img.width + x];
+        count++;
+      }
+    }
+    if (count) this.luminance.push({ t: timestamp, lum: lum / count });
+    while (this.luminance.length && timestamp - this.luminance[0].t > FLICKER_WINDOW_MS) this.luminance.shift();
+
+    if ((this.frame - 1) % c.moireEvery === 0) this.last.moire = moireScore(img, faceRect);
+    this.last.flicker = Math.max(temporalFlickerScore(this.luminance), bandingScore(img, faceRect));
+    this.last.bezel = bezelScore(img, faceRect);
+
+    const w = c.weights;
+    const frameScore = w.moire * this.last.moire + w.flicker * this.last.flicker + w.bezel * this.last.bezel;
+    const alpha = smoothing(timestamp - (this.lastTimestamp ?? timestamp), c.tauMs);
+    this.score = this.samples === 0 ? frameScore : this.score + alpha * (frameScore - this.score);
+    this.lastTimestamp = timestamp;
+    this.samples++;
+    return this.summary();
+  }
+
+  summary() {
+    return { score: this.score, samples: this.samples, ...this.last };
+  }
+}
+
+// Shared by the live session and trace replay
+export function isScreenReplay(summary, config) {
+  return !!summary && summary.samples >= config.screenReplayMinSamples && summary.score >= config.screenReplayThreshold;
+}
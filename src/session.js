@@ -0,0 +1,1226 @@
+import { DEFAULT_ASSETS, ModelLoadError, loadFileset, loadModel, loadVisionBundle, registerAssetServiceWorker } from "./assets.js";
+import { Announcer } from "./announcer.js";
+import { auditReport } from "./audit.js";
+import { AttemptTracker } from "./attempts.js";
+import { listCameras, openCamera, recallCamera, rememberCamera } from "./camera.js";
+import { DEFAULT_CONFIG } from "./config.js";
+import { CHALLENGE_TYPES } from "./challenges.js";
+import { pickPrimaryFace } from "./continuity.js";
+import { ChallengeDetector } from "./detector.js";
+import { Emitter } from "./emitter.js";
+import { LEFT_EYE, RIGHT_EYE, faceBounds } from "./geometry.js";
+import { Localizer } from "./i18n.js";
+import { InjectionAnalyzer } from "./injection.js";
+import { drawChallenges, policyDetectorConfig, policyTimeLimitMs, resolvePolicy } from "./policy.js";
+import { PixelPipeline } from "./pixel-pipeline.js";
+import { PulseAnalyzer, pulsePresent, skinRegions } from "./pulse.js";
+import { QualityGate } from "./quality.js";
+import { ReactionTracker } from "./reaction.js";
+import { secureRandom, seededRandom } from "./random.js";
+import { assessRisk, riskScores } from "./risk.js";
+import { isScreenReplay } from "./screen-replay.js";
+import { compactResult, createSessionKey, signResult } from "./signing.js";
+import { CompactTraceRecorder, traceDigest } from "./compact-trace.js";
+import { SpoofAnalyzer } from "./spoof.js";
+import { FrameRateMonitor, StageTimer } from "./timing.js";
+import { TraceRecorder } from "./trace.js";
+import { THRESHOLD_GROUPS } from "./tuning.js";
+
+export { DEFAULT_CONFIG };
+
+// Events: calibrated, blink ({ count }), challengeStarted, challengeProgress,
+// challengeCompleted, challengeReset ({ reason, message }), challengeRetry
+// ({ retry, reason }: the step ran out of time and is prompted again),
+// quality ({ ok, issue, message }), cue ({ phase: "wait" | "now", miss } with
+// config.reactionCue), frameRate ({ low, fps, dropped }), camera ({ deviceId,
+// label } whenever a camera is attached), paused ({ reason: "hidden" |
+// "camera" | "switching" }), resumed, spoofDetected ({ reason, message, risk }),
+// timeout, verified, review, error ({ reason: "unsupported" | "camera" |
+// "models" | "attempts" | "signing", code, message }), attempt ({ verdict,
+// reason, message } plus the AttemptTracker status after it, see
+// attempts.js), stopped,
+// sessionKey ({ nonce, publicKey } to register with the backend), result
+// (the signed result, see signing.js), report (the audit report of a run
+// that ended, stopped runs included, see audit.js) and frame (the
+// measurements of every frame with a face, see emitFrame()). With
+// config.riskScore the verified, review and spoofDetected events carry the
+// assessment as `risk` ({ score, band, reasons, findings, scores }, see risk.js).
+//
+// Texts are in the session's locale (see i18n.js); `reason`, `issue` and
+// `code` are the machine-readable codes behind them (see risk.js, quality.js
+// and messages.js).
+//
+// UI hooks (all optional): overlay (canvas element), setStatus(text, cls),
+// setResult(text, cls), setChallengeStatus(text, cls),
+// renderChallengeList(sequence, currentIndex, progressPercent),
+// flash(color) for the light challenge ({ color, opacity, fadeMs } or null;
+// without it the session covers the page with its own layer),
+// announce(text, priority) to write status changes and prompts to an ARIA
+// live region ("polite" or "assertive"; see announcer.js). The canvas
+// prompts are decoration: everything they say is also announced.
+// getUserMedia error name -> camera.* message ID
+const CAMERA_ERRORS = {
+  NotAllowedError: "denied",
+  PermissionDeniedError: "denied",
+  NotFoundError: "notFound",
+  DevicesNotFoundError: "notFound",
+  NotReadableError: "inUse",
+  TrackStartError: "inUse",
+  OverconstrainedError: "overconstrained",
+  SecurityError: "insecure"
+};
+
+// Height of a face's bounding box over its width, in pixels
+const FACE_ASPECT = 1.35;
+
+export class LivenessSession extends Emitter {
+  constructor(video, config = {}, ui = {}) {
+    super();
+    this.video = video;
+    this.config = { ...DEFAULT_CONFIG, ...config, assets: { ...DEFAULT_ASSETS, ...config.assets } };
+    // What tune() goes back to
+    this.initialConfig = { ...this.config };
+    if (this.config.reducedFlash === null) {
+      this.config.reducedFlash = typeof matchMedia === "function" && matchMedia("(prefers-reduced-motion: reduce)").matches;
+    }
+    this.ui = ui;
+    this.canvas = ui.overlay || null;
+    this.ctx = this.canvas ? this.canvas.getContext("2d") : null;
+    // Pixel analysis runs in a worker where possible (see pixel-pipeline.js)
+    this.pixels = null;
+    this.timer = new StageTimer();
+    this.flashEl = null;
+    this.i18n = new Localizer({ locale: this.config.locale, catalogs: this.config.messages });
+    // Cooldown and lockout after failed attempts, kept across reloads
+    this.attempts = this.config.attemptLimit ? new AttemptTracker(this.config.attempts) : null;
+    this.announcer = new Announcer(ui.announce, { speech: this.config.speech, lang: this.config.speechLang ?? this.i18n.locale });
+
+    this.stream = null;
+    this.landmarker = null;
+    this.sessionKey = null;
+    this.lastResult = null;
+    this.running = false;
+    this.lastVideoTime = -1;
+    this.lastFrameTime = 0;
+    this.timeBase = 0;
+    this.rafId = 0;
+    this.pauses = new Set();
+    this.loop = this.loop.bind(this);
+    this.fitOverlay = this.fitOverlay.bind(this);
+    this.onVisibilityChange = () => (document.hidden ? this.pause("hidden") : this.resume("hidden"));
+    this.resetState();
+  }
+
+  // Lifecycle -------------------------------------------------------------
+  // Throws ModelLoadError so callers can tell asset problems from camera ones
+  async ensureModels() {
+    if (this.landmarker) return;
+    const assets = this.config.assets;
+    this.setStatus(this.t("status.loading"));
+    registerAssetServiceWorker(assets);
+    const [{ FaceLandmarker }, vision, model] = await Promise.all([
+      loadVisionBundle(assets),
+      loadFileset(assets),
+      loadModel(assets)
+    ]);
+    try {
+      this.landmarker = await FaceLandmarker.createFromOptions(vision, {
+        baseOptions: {
+          modelAssetBuffer: model,
+        },
+        runningMode: "VIDEO",
+        numFaces: this.config.maxFaces, // more than one lets bystanders be noticed
+        outputFaceBlendshapes: true, // Enable blend shapes for mouth/smile detection
+        outputFacialTransformationMatrixes: true, // Enable head pose estimation
+      });
+    } catch (err) {
+      throw new ModelLoadError("model", "Could not initialize the face model", err);
+    }
+  }
+
+  // `challenge` is what the backend issued for this attempt:
+  // { nonce, challengeSeed, policy } (see stand-in-server.js)
+  async start(challenge = {}) {
+    if (this.running) return;
+    for (const key of ["nonce", "challengeSeed", "policy"]) {
+      if (challenge[key] !== undefined) this.config[key] = challenge[key];
+    }
+    const gate = this.attempts?.status();
+    if (gate && !gate.allowed) {
+      this.refuseAttempt(gate);
+      return;
+    }
+    // Before the camera: a WebCrypto failure (insecure context) is no camera error
+    if (this.config.signResult && !(await this.prepareSessionKey())) return;
+
+    try {
+      // Check if mediaDevices is supported
+      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        this.setStatus(this.t("camera.unsupported"), "err");
+        this.setResult(this.t("result.unsupported"), "err");
+        this.emit("error", { reason: "unsupported", code: "unsupported", message: this.t("camera.unsupported") });
+        return;
+      }
+
+      try {
+        await this.ensureModels();
+      } catch (err) {
+        this.handleModelError(err);
+        return;
+      }
+      this.setStatus(this.t("status.requestingCamera"));
+      await this.attachCamera();
+
+      this.pixels ??= new PixelPipeline({
+        worker: this.config.pixelWorker,
+        sampleWidth: this.config.pixelSampleWidth,
+        screenReplayCheck: this.config.screenReplayCheck
+      });
+
+      this.reset();
+      this.running = true;
+      this.listen(true);
+      this.setStatus(this.t("status.started"), "warn");
+      this.setResult(this.t("result.inProgress"), "warn", null);
+      this.rafId = requestAnimationFrame(this.loop);
+    } catch (err) {
+      console.error("Camera error:", err);
+      const code = CAMERA_ERRORS[err.name] ?? "failed";
+      // Errors without a known name keep the browser's own (untranslated) message
+      const errorMessage = code === "failed" && err.message ? err.message : this.t(`camera.${code}`);
+
+      this.setStatus(errorMessage, "err");
+      this.setResult(this.t("result.cameraFailed"), "err");
+      this.emit("error", { reason: "camera", code, message: errorMessage, error: err });
+
+      // Clean up if stream was partially created
+      this.releaseCamera();
+    }
+  }
+
+  // Creates and announces the key that signs this attempt's result; false
+  // when WebCrypto can't make one
+  async prepareSessionKey() {
+    try {
+      this.sessionKey = await createSessionKey();
+    } catch (err) {
+      console.error("Could not create the session key:", err);
+      this.sessionKey = null;
+      this.setStatus(this.t("signing.failed"), "err");
+      this.setResult(this.t("result.signingFailed"), "err");
+      this.emit("error", { reason: "signing", code: "key", message: this.t("signing.failed"), error: err });
+      return false;
+    }
+    this.emit("sessionKey", { nonce: this.config.nonce, publicKey: this.sessionKey.publicKey });
+    return true;
+  }
+
+  // Opens the configured, remembered or front camera (see camera.js) and
+  // plays it. Replaces the current stream only once the new one works.
+  async attachCamera() {
+    const config = this.config;
+    const stream = await openCamera(config.cameraId ?? (config.rememberCamera ? recallCamera() : null));
+    this.releaseCamera();
+    this.stream = stream;
+    const track = stream.getVideoTracks()[0];
+    track.onended = () => this.cameraLost();
+    track.onmute = () => this.pause("camera");
+    track.onunmute = () => this.resume("camera");
+
+    const video = this.video;
+    video.srcObject = stream;
+    // Wait for video metadata to load
+    await new Promise((resolve, reject) => {
+      video.onloadedmetadata = () => {
+        video.play()
+          .then(resolve)
+          .catch(reject);
+      };
+      video.onerror = reject;
+      // Timeout after 10 seconds
+      setTimeout(() => reject(new Error("Video load timeout")), 10000);
+    });
+    // A new stream's clock starts at 0; frame timestamps have to keep rising
+    this.timeBase = this.lastFrameTime + 1;
+    this.lastVideoTime = -1;
+    this.fitOverlay();
+    this.inspectCamera();
+    this.frameCallbacks = this.watchFrames();
+    this.emit("camera", { deviceId: track.getSettings?.().deviceId ?? null, label: track.label });
+  }
+
+  // Track description for the injection check (see injection.js)
+  inspectCamera() {
+    const track = this.stream?.getVideoTracks()[0];
+    if (!track || !this.injection) return;
+    this.injection.inspect({
+      label: track.label,
+      settings: track.getSettings?.() ?? {},
+      capabilities: track.getCapabilities?.() ?? null
+    });
+  }
+
+  // Feeds the media time of every presented frame to the injection check.
+  // Returns false without requestVideoFrameCallback; the loop then uses
+  // video.currentTime, which only sees the frames it processes.
+  watchFrames() {
+    const video = this.video;
+    if (typeof video.requestVideoFrameCallback !== "function") return false;
+    const stream = this.stream;
+    const onFrame = (now, meta) => {
+      // Ends with the stream
+      if (this.stream !== stream) return;
+      if (this.running && !this.pauses.size) this.injection?.frame(meta.mediaTime * 1000, meta.presentedFrames);
+      video.requestVideoFrameCallback(onFrame);
+    };
+    video.requestVideoFrameCallback(onFrame);
+    return true;
+  }
+
+  // Video inputs for a camera picker: [{ deviceId, label }]
+  cameras() {
+    return listCameras((number) => this.t("camera.unnamed", { number }));
+  }
+
+  // Switches to another camera and remembers the choice. A running session
+  // pauses and recalibrates on the new camera.
+  async selectCamera(deviceId) {
+    this.config.cameraId = deviceId || null;
+    if (this.config.rememberCamera) rememberCamera(deviceId);
+    if (!this.running) return;
+    this.pause("switching");
+    try {
+      await this.attachCamera();
+      this.resume("switching");
+    } catch (err) {
+      this.cameraFailed(err);
+    }
+  }
+
+  // The track ended (camera unplugged, revoked, taken by another app): carry
+  // on with the remembered camera or the front one
+  async cameraLost() {
+    if (!this.running) return;
+    this.pause("camera");
+    this.setStatus(this.t("status.cameraDisconnected"), "warn");
+    try {
+      await this.attachCamera();
+      this.resume("camera");
+    } catch (err) {
+      this.cameraFailed(err);
+    }
+  }
+
+  cameraFailed(err) {
+    console.error("Camera error:", err);
+    this.setStatus(this.t("status.cameraLost"), "err");
+    this.setResult(this.t("result.interrupted"), "err");
+    this.emit("error", { reason: "camera", code: "lost", message: this.t("status.cameraLost"), error: err });
+    this.finish("stopped");
+    this.teardown();
+  }
+
+  // Page and device events that pause the run or change the overlay size
+  listen(on) {
+    const method = on ? "addEventListener" : "removeEventListener";
+    document[method]("visibilitychange", this.onVisibilityChange);
+    window[method]("resize", this.fitOverlay);
+    window[method]("orientationchange", this.fitOverlay);
+    this.video[method]("resize", this.fitOverlay);
+  }
+
+  // Stops the loop until every reason to pause is gone; the paused time
+  // counts against no time limit (see resume())
+  pause(reason) {
+    if (!this.running) return;
+    const first = this.pauses.size === 0;
+    this.pauses.add(reason);
+    if (!first) return;
+    cancelAnimationFrame(this.rafId);
+    this.pausedAt = performance.now();
+    this.recorder?.pause(this.activeTime(this.pausedAt), reason);
+    this.showFlash(null);
+    this.setStatus(this.t(reason === "hidden" ? "status.pausedHidden" : "status.pausedCamera"), "warn");
+    this.emit("paused", { reason });
+  }
+
+  // The detector starts over from calibration on the next frame, and the
+  // pulse signal, which can't bridge a gap, is measured afresh
+  resume(reason) {
+    if (!this.running || !this.pauses.delete(reason) || this.pauses.size) return;
+    const pausedFor = performance.now() - this.pausedAt;
+    this.pausedMs += pausedFor;
+    if (this.startDeadline) this.startDeadline += pausedFor;
+    this.pulse = new PulseAnalyzer();
+    this.recalibrate = true;
+    this.setStatus(this.t("status.resuming"), "warn");
+    this.emit("resumed");
+    this.rafId = requestAnimationFrame(this.loop);
+  }
+
+  // Time since the run started, less the time it was paused
+  activeTime(now = performance.now()) {
+    return now - this.startedAt - this.pausedMs;
+  }
+
+  // The overlay takes the video's resolution, so under object-fit: cover
+  // both are scaled and cropped the same way
+  fitOverlay() {
+    const canvas = this.canvas, video = this.video;
+    if (!canvas || !video.videoWidth) return;
+    if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+    }
+  }
+
+  handleModelError(err) {
+    console.error("Model error:", err);
+    const stage = err instanceof ModelLoadError ? err.stage : "model";
+    let code = "failed";
+    if (stage === "integrity") {
+      code = "integrity";
+    } else if (typeof navigator !== "undefined" && navigator.onLine === false) {
+      code = "offline";
+    }
+    const errorMessage = this.t(`model.${code}`);
+    this.setStatus(errorMessage, "err");
+    this.setResult(this.t("result.modelFailed"), "err");
+    this.emit("error", { reason: "models", code, stage, message: errorMessage, error: err });
+  }
+
+  // User-initiated stop: releases the camera and resets the messaging
+  stop() {
+    this.finish("stopped");
+    this.teardown();
+    this.setStatus(this.t("status.stopped"));
+    this.setResult(this.t("result.awaiting"), "", null);
+  }
+
+  // Ends the run but keeps the final status/result visible
+  teardown() {
+    const wasRunning = this.running;
+    this.running = false;
+    cancelAnimationFrame(this.rafId);
+    if (wasRunning) this.listen(false);
+    this.pauses.clear();
+    this.releaseCamera();
+    this.video.srcObject = null;
+    if (this.ctx) this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.showFlash(null);
+    if (wasRunning) this.emit("stopped");
+  }
+
+  releaseCamera() {
+    if (this.stream) {
+      for (const t of this.stream.getTracks()) {
+        t.onended = t.onmute = t.onunmute = null;
+        t.stop();
+      }
+      this.stream = null;
+    }
+  }
+
+  // Records the verdict in the trace and, for a real verdict, emits the
+  // signed result. Only the first verdict of a run counts.
+  finish(verdict, reason = null) {
+    this.recorder?.end(this.activeTime(), verdict, reason, this.injection?.summary() ?? null);
+    if (this.finished) return;
+    if (this.running) this.publishReport(verdict, reason);
+    if (verdict === "stopped") return;
+    this.finished = true;
+    this.publishResult(verdict, reason).catch(err => console.error("Could not publish result:", err));
+    this.recordAttempt(verdict, reason);
+  }
+
+  // Attempts --------------------------------------------------------------
+  // AttemptTracker status ({ allowed, locked, waitMs, remaining, escalation,
+  // last }), or null without config.attemptLimit. Pass `escalation` to the
+  // backend when it issues the next attempt (see policy.js).
+  attemptStatus() {
+    return this.attempts?.status() ?? null;
+  }
+
+  clearAttempts() {
+    this.attempts?.clear();
+  }
+
+  recordAttempt(verdict, reason) {
+    if (!this.attempts) return;
+    const status = this.attempts.record(verdict, reason);
+    const message = [
+      verdict === "timeout" || verdict === "spoof" ? this.t("attempt.failed", { reason: this.i18n.reason(reason ?? verdict) }) : null,
+      status.allowed ? null : this.waitMessage(status)
+    ].filter(Boolean).join(" ");
+    if (message) this.announcer.announce(message);
+    this.emit("attempt", { verdict, reason, message, ...status });
+  }
+
+  // Cooldown or lockout still running: nothing starts, the last reason shows
+  refuseAttempt(status) {
+    const message = this.waitMessage(status);
+    this.setStatus(message, status.locked ? "err" : "warn");
+    if (status.last?.reason) this.setResult(this.t("result.lastAttempt", { reason: this.i18n.reason(status.last.reason) }), "warn");
+    this.emit("error", { reason: "attempts", code: status.locked ? "locked" : "cooldown", waitMs: status.waitMs, message });
+  }
+
+  waitMessage(status) {
+    return status.locked
+      ? this.t("attempt.locked", { count: Math.ceil(status.waitMs / 60000) })
+      : this.t("attempt.wait", { count: Math.ceil(status.waitMs / 1000) });
+  }
+
+  // The run's state is read right away, before teardown or the next start
+  // can change it; only digesting and signing wait
+  async publishResult(verdict, reason) {
+    const fields = {
+      nonce: this.config.nonce,
+      verdict,
+      reason,
+      sequence: this.challengeSequence,
+      scores: {
+        screenReplay: this.screenReplay?.score ?? null,
+        pulse: this.pulse.summary().score,
+        motion: this.spoof.averageMotion
+      },
+      risk: this.risk,
+      frameRate: this.detector.frameRate.summary(),
+      injection: this.injection?.summary() ?? null,
+      durationMs: this.activeTime()
+    };
+    const trace = this.compactTrace?.toJSON() ?? null;
+    const key = this.sessionKey;
+    let body = compactResult({ ...fields, traceSha256: null });
+    try {
+      if (trace) body = compactResult({ ...fields, traceSha256: await traceDigest(trace) });
+      this.lastResult = key ? await signResult(body, key) : body;
+    } catch (err) {
+      // Unsigned, the backend rejects it; listeners still learn the verdict
+      console.error("Could not sign result:", err);
+      this.lastResult = body;
+    }
+    this.emit("result", this.lastResult);
+  }
+
+  publishReport(verdict, reason) {
+    this.report = auditReport({
+      nonce: this.config.nonce,
+      locale: this.locale,
+      device: this.deviceInfo(),
+      camera: this.cameraInfo(),
+      policy: { ...this.policy, timeLimitSec: policyTimeLimitMs(this.policy, this.config.timeLimitSec) / 1000 },
+      detector: this.detector,
+      spoof: this.spoof.summary(),
+      screenReplay: this.screenReplay,
+      pulse: this.pulse.summary(),
+      injection: this.injection?.summary() ?? null,
+      risk: this.risk,
+      verdict,
+      reason,
+      durationMs: this.activeTime()
+    });
+    this.emit("report", this.report);
+  }
+
+  deviceInfo() {
+    if (typeof navigator === "undefined") return null;
+    return {
+      userAgent: navigator.userAgent,
+      languages: [...(navigator.languages || [navigator.language])],
+      hardwareConcurrency: navigator.hardwareConcurrency ?? null,
+      screen: typeof screen !== "undefined"
+        ? { width: screen.width, height: screen.height, pixelRatio: window.devicePixelRatio || 1 }
+        : null
+    };
+  }
+
+  // The settings the browser actually applied, not the ones asked for
+  cameraInfo() {
+    const track = this.stream?.getVideoTracks()[0];
+    if (!track) return null;
+    const s = track.getSettings?.() ?? {};
+    return {
+      label: track.label,
+      width: s.width ?? null,
+      height: s.height ?? null,
+      frameRate: s.frameRate ?? null,
+      facingMode: s.facingMode ?? null,
+      resizeMode: s.resizeMode ?? null
+    };
+  }
+
+  // Audit report of the last run (see audit.js), or null before one ended
+  exportReport() {
+    return this.report;
+  }
+
+  // Compact measurement trace of the last run (see compact-trace.js); send it
+  // to the backend along with the signed result. Null when disabled.
+  exportCompactTrace() {
+    return this.compactTrace ? this.compactTrace.toJSON() : null;
+  }
+
+  // NDJSON landmark trace of the last run, or null when recording is off
+  exportTrace() {
+    return this.recorder ? this.recorder.toNDJSON() : null;
+  }
+
+  reset() {
+    this.resetState();
+    this.announcer.reset();
+    this.renderChallengeList();
+    this.setChallengeStatus(this.t("steps.calibrating"), "warn");
+  }
+
+  resetState() {
+    const config = this.config;
+    this.policy = resolvePolicy(config.policy);
+    // Drawn locally: failed attempts make the next one longer. An issued
+    // policy already carries the issuer's escalation.
+    const escalation = config.challengeSeed == null ? this.attempts?.status().escalation : 0;
+    if (escalation) this.policy = resolvePolicy({ ...this.policy, escalation });
+    // A server seed decides the sequence; otherwise it comes from the CSPRNG
+    const random = config.challengeSeed != null ? seededRandom(config.challengeSeed) : secureRandom;
+    this.detector = new ChallengeDetector(policyDetectorConfig(config, this.policy), drawChallenges(this.policy, random));
+    this.drawnParams = this.detector.sequence.map(c => ({ ...c.params }));
+    this.applyChallengeParams();
+    this.localizeChallenges();
+    this.spoof = new SpoofAnalyzer(config);
+    this.injection = config.injectionCheck ? new InjectionAnalyzer(config.injection) : null;
+    this.inspectCamera();
+    // Latest screen-replay summary from the pixel pipeline
+    this.screenReplay = null;
+    this.lastQuality = null;
+    this.pixels?.reset();
+    this.timer.reset();
+    this.pulse = new PulseAnalyzer();
+    this.startedAt = performance.now();
+    this.pausedMs = 0;
+    const timeLimitMs = policyTimeLimitMs(this.policy, config.timeLimitSec);
+    this.startDeadline = timeLimitMs > 0 ? this.startedAt + timeLimitMs : 0;
+    this.spoofFlagged = false;
+    this.risk = null;
+    this.finished = false;
+    this.lastResult = null;
+    this.report = null;
+    this.lastProgress = 0;
+    this.cuePhase = null;
+    this.recalibrate = false;
+    // Opt-in landmark trace for bug reports (no pixels are recorded)
+    this.recorder = config.recordTrace ? new TraceRecorder() : null;
+    this.recorder?.begin(config, this.detector.sequence);
+    // Measurements only, for the backend's own verdict (see trace-validator.js)
+    this.compactTrace = config.compactTrace ? new CompactTraceRecorder() : null;
+    this.compactTrace?.begin(this.detector.sequence, config.nonce, { reducedFlash: config.reducedFlash });
+  }
+
+  // Tuning ----------------------------------------------------------------
+  // Changes config values during a run (see tuning.js). Thresholds the
+  // detector and the spoof checks read every frame apply at once, the rest
+  // from the next start; threshold groups (quality, reaction, ...) go over
+  // the session's own and reach the running checks too; challengeParams
+  // apply to the drawn challenges right away. A null value goes back to what
+  // the session was created with.
+  tune(changes) {
+    for (const [key, value] of Object.entries(changes)) {
+      if (THRESHOLD_GROUPS.includes(key)) {
+        this.config[key] = { ...this.initialConfig[key], ...value };
+        continue;
+      }
+      this.config[key] = value ?? this.initialConfig[key];
+      if (key in this.detector.config) this.detector.config[key] = this.config[key];
+    }
+    // The same thresholds the next run starts with; risk is read when scoring
+    const d = this.detector;
+    if ("quality" in changes) Object.assign(d.quality.config, new QualityGate(this.config.quality).config);
+    if ("frameRate" in changes) Object.assign(d.frameRate.config, new FrameRateMonitor(this.config.frameRate).config);
+    if ("reaction" in changes) {
+      const { reaction } = policyDetectorConfig(this.config, this.policy);
+      Object.assign(d.reaction.config, new ReactionTracker({ cue: this.config.reactionCue, ...reaction }).config);
+    }
+    if ("injection" in changes && this.injection) Object.assign(this.injection.config, new InjectionAnalyzer(this.config.injection).config);
+    if ("challengeParams" in changes) {
+      this.applyChallengeParams();
+      this.localizeChallenges();
+      this.renderChallengeList(this.lastProgress);
+    }
+  }
+
+  // The drawn params with config.challengeParams over them
+  applyChallengeParams() {
+    const overrides = this.config.challengeParams || {};
+    this.detector.sequence.forEach((c, i) => {
+      c.params = { ...this.drawnParams[i], ...overrides[c.key] };
+    });
+  }
+
+  // Per-frame measurements for the tuning dashboard (see dashboard.js)
+  emitFrame(t, metrics, signals) {
+    const d = this.detector;
+    this.emit("frame", {
+      t,
+      earL: metrics.earL,
+      earR: metrics.earR,
+      smoothEAR: d.smoothEAR,
+      earThreshold: d.earThreshold,
+      yaw: metrics.yaw,
+      pitch: metrics.pitch,
+      roll: metrics.roll,
+      jawOpen: metrics.jawOpen,
+      faceWidth: metrics.bounds.w,
+      motionEnergy: signals.motionEnergy ?? null,
+      challenge: d.current,
+      baseline: d.challengeState?.base ?? null
+    });
+  }
+
+  // Localization -----------------------------------------------------------
+  // Text of a message ID in the session's locale (see messages.js)
+  t(id, params) {
+    return this.i18n.t(id, params);
+  }
+
+  get locale() {
+    return this.i18n.locale;
+  }
+
+  // "ltr" or "rtl"; pages mirror their layout by it
+  get dir() {
+    return this.i18n.dir;
+  }
+
+  // Switches the language, also during a run; null detects it again
+  setLocale(locale) {
+    this.i18n.setLocale(locale);
+    if (!this.config.speechLang) this.announcer.config.lang = this.i18n.locale;
+    this.localizeChallenges();
+    this.renderChallengeList();
+  }
+
+  // Challenge texts come in English from the registry (see challenges.js)
+  localizeChallenges() {
+    for (const challenge of this.detector.sequence) {
+      const { label, instruction } = this.i18n.challenge(challenge);
+      Object.assign(challenge, { label, instruction });
+    }
+  }
+
+  // UI hooks ---------------------------------------------------------------
+  // Status and result changes are announced too, errors assertively; pass a
+  // null priority for text that changes every frame (see Announcer)
+  setStatus(text, cls = "", priority = cls === "err" ? "assertive" : "polite") {
+    this.ui.setStatus?.(text, cls);
+    if (priority) this.announcer.announce(text, priority);
+  }
+
+  setResult(text, cls = "", priority = "polite") {
+    this.ui.setResult?.(text, cls);
+    if (priority) this.announcer.announce(text, priority);
+  }
+
+  // Reads the last announcement again (e.g. on a "repeat" key)
+  repeatPrompt() {
+    this.announcer.repeat();
+  }
+
+  // Turns the spoken prompts on or off, also during a run
+  setSpeech(on) {
+    this.config.speech = !!on;
+    this.announcer.setSpeech(on);
+  }
+
+  setChallengeStatus(text, cls = "") {
+    this.ui.setChallengeStatus?.(text, cls);
+  }
+
+  renderChallengeList(progressPercent = null) {
+    this.ui.renderChallengeList?.(this.challengeSequence, this.currentChallengeIndex, progressPercent);
+  }
+
+  // Challenge system ------------------------------------------------------
+  get challengeSequence() {
+    return this.detector.sequence;
+  }
+
+  get currentChallengeIndex() {
+    return this.detector.currentIndex;
+  }
+
+  get currentChallenge() {
+    return this.detector.current;
+  }
+
+  handleTransition(t) {
+    const config = this.config;
+    switch (t.type) {
+      case "calibrated":
+        // challengeStarted follows and announces the first challenge
+        this.setStatus(this.t("status.calibrated", { challenge: this.currentChallenge.label }), "warn", null);
+        this.emit("calibrated", { earThreshold: t.earThreshold });
+        break;
+      case "blink":
+        this.emit("blink", { count: t.count });
+        break;
+      case "challengeStarted":
+        this.lastProgress = 0;
+        this.cuePhase = null;
+        this.announcer.announce(this.t("announce.challenge", {
+          index: t.index + 1,
+          total: this.challengeSequence.length,
+          challenge: t.challenge.instruction
+        }), "assertive");
+        this.emit("challengeStarted", { challenge: t.challenge, index: t.index });
+        break;
+      case "challengeCompleted":
+        this.cuePhase = null;
+        if (t.outcome === "inconclusive") this.setStatus(this.t("status.inconclusive", { challenge: t.challenge.label }), "warn");
+        this.emit("challengeCompleted", { challenge: t.challenge, index: t.index, outcome: t.outcome });
+        this.renderChallengeList(0); // Reset progress for next challenge
+        break;
+      case "challengeRetry":
+        this.lastProgress = 0;
+        this.cuePhase = null;
+        this.setStatus(this.t("status.retry", { challenge: t.challenge.label }), "warn", null);
+        this.announcer.announce(this.t("status.retry", { challenge: t.challenge.instruction }), "assertive");
+        this.renderChallengeList(0);
+        this.emit("challengeRetry", { challenge: t.challenge, index: t.index, retry: t.retry, reason: t.reason });
+        break;
+      case "challengeReset":
+        // The detector prompts again, starting with "Wait…" under the cue
+        this.cuePhase = null;
+        this.setStatus(this.t("status.restart", { reason: this.i18n.reason(t.reason), challenge: t.challenge.label }), "warn");
+        this.lastProgress = 0;
+        this.renderChallengeList(0);
+        this.emit("challengeReset", { challenge: t.challenge, index: t.index, reason: t.reason, message: this.i18n.reason(t.reason) });
+        break;
+      case "quality":
+        this.emit("quality", { ok: t.ok, issue: t.issue, message: t.issue ? this.t(`quality.${t.issue}`) : null });
+        break;
+      case "frameRate":
+        if (t.low) this.setStatus(this.t("status.lowFrameRate", { fps: Math.round(t.fps) }), "warn");
+        this.emit("frameRate", { low: t.low, fps: t.fps, dropped: t.dropped });
+        break;
+      case "cue":
+        this.cuePhase = t.phase;
+        if (t.miss) this.setStatus(this.t(t.miss === "early" ? "status.cueEarly" : "status.cueLate"), "warn");
+        if (t.phase === "wait") this.announcer.announce(this.t("announce.wait"));
+        if (t.phase === "now") {
+          this.setStatus(this.t("status.now", { challenge: t.challenge.label }), "ok", null);
+          this.announcer.announce(this.t("announce.now", { challenge: t.challenge.instruction }), "assertive");
+        }
+        this.emit("cue", { challenge: t.challenge, index: t.index, phase: t.phase, miss: t.miss });
+        break;
+      case "challengeTimeout":
+        this.setStatus(this.t("status.challengeTimeout", { challenge: t.challenge.label }), "err");
+        this.setResult(this.t("result.timeout"), "err");
+        this.emit("timeout", { challenge: t.challenge, index: t.index });
+        break;
+      case "completed":
+        this.setChallengeStatus(this.t("steps.allDone"), 'ok');
+        break;
+    }
+  }
+
+  // Liveness scores besides the challenges: { screenReplay, pulse, injection } summaries
+  scores() {
+    return { screenReplay: this.screenReplay, pulse: this.pulse.summary(), injection: this.injection?.summary() ?? null };
+  }
+
+  // Spoof heuristics ------------------------------------------------------
+  // Pixel signals for the spoof heuristics, the light challenge and the
+  // quality gate. Returns { motionEnergy, screenReplay, pulse, skinColor,
+  // skinColorAt, quality }.
+  // The pixel pipeline answers asynchronously, so they come from the latest
+  // frame it finished, and are null when nothing new arrived; the quality
+  // sample carries over so the gate doesn't flicker between results.
+  samplePixels(landmarks, bounds, timestamp) {
+    const signals = { motionEnergy: null, duplicate: null, noise: null, screenReplay: null, pulse: null, skinColor: null, skinColorAt: null, quality: this.lastQuality };
+    try {
+      this.timer.measure("pixels", () => this.pixels.submit(this.video, { timestamp, bounds, skinRects: skinRegions(landmarks, bounds) }));
+    } catch (e) { /* ignore */ }
+    const result = this.pixels.take();
+    if (!result) return signals;
+    for (const [stage, ms] of Object.entries(result.timing)) this.timer.add(`pixel.${stage}`, ms);
+    signals.motionEnergy = result.motionEnergy;
+    // For the injection check (see analyzeSpoof())
+    signals.duplicate = result.duplicate;
+    signals.noise = result.noise;
+    signals.quality = this.lastQuality = result.quality;
+    signals.screenReplay = result.screenReplay;
+    if (result.screenReplay) this.screenReplay = result.screenReplay;
+    signals.skinColor = result.skinColor;
+    signals.skinColorAt = result.skinColor ? result.timestamp : null;
+    // Timestamped with the frame the color came from, not this one. A policy
+    // that requires a pulse samples it even with pulseCheck off.
+    const pulseCheck = this.config.pulseCheck || this.policy.requirePulse;
+    if (pulseCheck && result.skinColor) signals.pulse = this.pulse.update(result.skinColor, result.timestamp);
+    return signals;
+  }
+
+  analyzeSpoof(signals) {
+    if (this.spoofFlagged) return;
+    this.injection?.pixels(signals);
+    // With the risk score these heuristics only feed it (see assess())
+    const riskScore = this.config.riskScore;
+    if (signals.motionEnergy !== null) {
+      const reason = this.spoof.update(signals.motionEnergy, this.detector);
+      if (reason && !riskScore) {
+        this.spoofFlag(reason);
+        return;
+      }
+    }
+    if (!riskScore && isScreenReplay(signals.screenReplay, this.config)) this.spoofFlag("screenReplay");
+  }
+
+  // Hard spoof verdict (a reason code); under the risk score it rejects with score 0
+  spoofFlag(reason) {
+    if (this.spoofFlagged) return;
+    this.spoofFlagged = true;
+    if (this.config.riskScore) this.risk = this.assess(reason);
+    const message = this.i18n.reason(reason);
+    this.setStatus(this.t("status.spoof", { reason: message }), 'err');
+    this.setResult(this.t("result.spoof"), 'err');
+    this.emit("spoofDetected", { reason, message, risk: this.risk });
+    this.finish("spoof", reason);
+    this.teardown();
+  }
+
+  // Risk assessment of the run so far (see risk.js)
+  assess(fatal = null) {
+    const scores = riskScores({
+      spoof: this.spoof.summary(),
+      sequence: this.challengeSequence,
+      screenReplay: this.screenReplay,
+      pulse: this.pulse.summary(),
+      injection: this.injection?.summary() ?? null
+    }, this.config);
+    return assessRisk(scores, {
+      ...this.config.risk,
+      sequence: this.challengeSequence,
+      injection: this.injection?.summary() ?? null,
+      required: this.policy.requirePulse ? ["pulse"] : [],
+      fatal
+    });
+  }
+
+  // All challenges are done: the verdict comes from the risk band
+  conclude() {
+    const payload = { challenges: this.challengeSequence.map(c => c.key), scores: this.scores() };
+    if (this.config.riskScore) {
+      this.risk = this.assess();
+      payload.risk = this.risk;
+      const score = Math.round(this.risk.score * 100);
+      if (this.risk.band === "reject") {
+        const reason = this.risk.findings[0] || this.risk.reasons[0] || "spoof";
+        const message = this.i18n.reason(reason);
+        this.spoofFlagged = true;
+        this.setStatus(this.t("status.spoof", { reason: message }), 'err');
+        this.setResult(this.t("result.spoofScore", { score }), 'err');
+        this.emit("spoofDetected", { reason, message, risk: this.risk });
+        this.finish("spoof", reason);
+        return;
+      }
+      if (this.risk.band === "review") {
+        const reasons = this.risk.reasons.map(code => this.i18n.reason(code));
+        this.setStatus(reasons.length ? this.t("status.review", { reasons: this.i18n.list(reasons) }) : this.t("status.reviewNoReason"), 'warn');
+        this.setResult(this.t("result.review", { score }), 'warn');
+        this.emit("review", payload);
+        this.finish("review", this.risk.reasons[0] || null);
+        return;
+      }
+      this.setResult(this.t("result.verifiedScore", { score }), 'ok');
+    } else {
+      this.setResult(this.t("result.verified"), 'ok');
+    }
+    this.emit("verified", payload);
+    this.finish("verified");
+  }
+
+  // Light challenge -------------------------------------------------------
+  // Shows what the active challenge asks the page to display at `timestamp`
+  updateFlash(timestamp) {
+    const current = this.currentChallenge;
+    const type = current && CHALLENGE_TYPES[current.key];
+    const state = this.detector.challengeState;
+    this.showFlash(type?.display && state ? type.display(state, current.params, this.detector, timestamp) : null);
+  }
+
+  showFlash(flash) {
+    if (this.ui.flash) {
+      this.ui.flash(flash);
+      return;
+    }
+    if (!flash && !this.flashEl) return;
+    if (!this.flashEl) {
+      this.flashEl = document.createElement("div");
+      this.flashEl.style.cssText = "position: fixed; inset: 0; pointer-events: none; z-index: 2147483647; opacity: 0;";
+      document.body.appendChild(this.flashEl);
+    }
+    const style = this.flashEl.style;
+    style.transition = flash?.fadeMs ? `opacity ${flash.fadeMs}ms, background-color ${flash.fadeMs}ms` : "none";
+    if (flash) style.backgroundColor = flash.color;
+    style.opacity = flash ? String(flash.opacity) : "0";
+  }
+
+  // Drawing ---------------------------------------------------------------
+  drawOverlay(landmarks, bounds) {
+    const ctx = this.ctx;
+    if (!ctx) return;
+    const canvas = this.canvas;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (this.config.qualityGate) this.drawGuide(this.detector.quality);
+    if (!landmarks) return;
+
+    ctx.save();
+    ctx.strokeStyle = "rgba(0,208,255,0.9)";
+    ctx.lineWidth = 2;
+
+    const scaleX = canvas.width;
+    const scaleY = canvas.height;
+
+    // Draw face bounds
+    ctx.strokeRect(bounds.minX * scaleX, bounds.minY * scaleY, bounds.w * scaleX, bounds.h * scaleY);
+
+    // Draw the active challenge's prompt ("Wait…" until a cue says "Now")
+    const current = this.currentChallenge;
+    const hint = this.cuePhase === "wait" ? { text: this.t("announce.wait"), at: "top" }
+      : current ? { text: this.i18n.challenge(current).hint, at: CHALLENGE_TYPES[current.key].hint.at } : null;
+    if (hint) {
+      // "left" and "right" follow the head movement, not the reading order
+      ctx.direction = this.i18n.dir;
+      ctx.fillStyle = "rgba(0,208,255,0.8)";
+      if (hint.at === "left") {
+        ctx.font = "bold 32px Arial";
+        ctx.textAlign = "left";
+        ctx.fillText(hint.text, 30, canvas.height / 2);
+      } else if (hint.at === "right") {
+        ctx.font = "bold 32px Arial";
+        ctx.textAlign = "right";
+        ctx.fillText(hint.text, canvas.width - 30, canvas.height / 2);
+      } else {
+        ctx.font = "bold 24px Arial";
+        ctx.textAlign = "center";
+        ctx.fillText(hint.text, canvas.width / 2, 40);
+      }
+    }
+
+    // Draw eyes
+    const drawEye = (ids) => {
+      ctx.beginPath();
+      const first = landmarks[ids[0]];
+      ctx.moveTo(first.x * scaleX, first.y * scaleY);
+      for (let i = 1; i < ids.length; i++) {
+        const p = landmarks[ids[i]];
+        ctx.lineTo(p.x * scaleX, p.y * scaleY);
+      }
+      ctx.closePath();
+      ctx.stroke();
+    };
+    drawEye(LEFT_EYE);
+    drawEye(RIGHT_EYE);
+
+    ctx.restore();
+  }
+
+  // Positioning oval matching the quality gate's size and centering limits;
+  // dashed amber while the gate holds, solid green once it passes
+  // Oval the size of a face halfway between the quality gate's smallest and
+  // largest (see quality.js); off center, also the area its center has to be in
+  drawGuide(gate) {
+    const ctx = this.ctx;
+    const canvas = this.canvas;
+    const { minFaceSize, maxFaceSize, maxOffset } = gate.config;
+    const cx = canvas.width / 2, cy = canvas.height / 2;
+    const rx = (canvas.width * (minFaceSize + maxFaceSize)) / 4;
+    const ry = Math.min(rx * FACE_ASPECT, canvas.height / 2 - 3);
+    ctx.save();
+    ctx.strokeStyle = gate.ok ? "rgba(23,201,100,0.9)" : "rgba(245,165,36,0.9)";
+    ctx.lineWidth = 3;
+    ctx.setLineDash(gate.ok ? [] : [10, 8]);
+    ctx.beginPath();
+    ctx.ellipse(cx, cy, rx, ry, 0, 0, 2 * Math.PI);
+    ctx.stroke();
+    if (gate.issue === "offCenter") {
+      ctx.lineWidth = 1.5;
+      ctx.strokeRect(cx - canvas.width * maxOffset, cy - canvas.height * maxOffset, 2 * canvas.width * maxOffset, 2 * canvas.height * maxOffset);
+    }
+    ctx.restore();
+  }
+
+  drawDebug(metrics) {
+    const ctx = this.ctx;
+    if (!ctx) return;
+    const d = this.detector;
+    const { earL, earR } = metrics;
+    ctx.save();
+    ctx.fillStyle = "rgba(0,0,0,0.5)";
+    ctx.fillRect(8, 8, 320, 229);
+    ctx.fillStyle = "#00d0ff";
+    ctx.font = "12px monospace";
+    ctx.fillText(`EAR raw: ${((earL+earR)/2).toFixed(3)}`, 16, 24);
+    ctx.fillText(`EAR smooth: ${d.smoothEAR.toFixed(3)}`, 16, 38);
+    ctx.fillText(`Threshold: ${d.earThreshold.toFixed(3)}`, 16, 52);
+    ctx.fillText(`Blinks: ${d.blinkCount}`, 16, 66);
+
+    const current = d.current;
+    const s = d.challengeState || {};
+    const base = s.base ?? null;
+    const fmt = (v, digits = 1) => (v !== null && v !== undefined ? v.toFixed(digits) : 'N/A');
+    const progress = d.getChallengeProgress();
+
+    ctx.fillText(`Challenge: ${current ? current.key : 'none'} (${Math.round(progress)}%) | Held: ${fmt(s.heldMs, 0)} ms`, 16, 80);
+    ctx.fillText(`Baseline: ${s.samples && base === null ? 'calibrating' : fmt(base, 2)} | Δ: ${fmt(s.diff ?? (s.score !== undefined && base !== null ? s.score - base : null), 2)}`, 16, 94);
+    ctx.fillText(`Yaw: ${fmt(metrics.yaw)}° Pitch: ${fmt(metrics.pitch)}° Roll: ${fmt(metrics.roll)}°`, 16, 108);
+    ctx.fillText(`EAR L/R: ${fmt(earL, 3)}/${fmt(earR, 3)} | Jaw: ${fmt(metrics.jawOpen, 2)} | Face Δ: ${fmt(d.continuity.distance, 3)}`, 16, 122);
+    const replay = this.screenReplay || {};
+    ctx.fillText(`Replay: ${fmt(replay.score, 2)} (moire ${fmt(replay.moire, 2)} flicker ${fmt(replay.flicker, 2)} bezel ${fmt(replay.bezel, 2)})`, 16, 136);
+    const st = s.structure;
+    ctx.fillText(`3D: ${st ? `res ${fmt(st.residual, 3)} parallax ${fmt(st.parallax, 3)} depth ${fmt(st.depth, 2)}` : 'N/A'}`, 16, 150);
+    const pulse = this.pulse.summary();
+    ctx.fillText(`Pulse: ${fmt(pulse.score, 2)} (quality ${fmt(pulse.quality, 2)} ${pulse.bpm ? `${Math.round(pulse.bpm)} bpm` : '-- bpm'} ${fmt(pulse.duration / 1000)}s)`, 16, 164);
+    const t = this.timer, ms = (stage) => fmt(t.get(stage));
+    ctx.fillText(`Frame ms: detect ${ms('detect')} pixels ${ms('pixels')} core ${ms('detector')} draw ${ms('overlay')} | ${fmt(t.fps)} fps, ${d.frameRate.dropped} dropped`, 16, 178);
+    const workerError = this.pixels?.error ? ` | worker failed: ${this.pixels.error}` : '';
+    ctx.fillText(`Pixels (${this.pixels?.mode ?? 'off'}): ${['draw', 'motion', 'quality', 'replay', 'skin', 'noise'].map(k => fmt(t.get(`pixel.${k}`))).join('/')} rt ${ms('pixel.roundTrip')} skip ${this.pixels?.skipped ?? 0}${workerError}`, 16, 192);
+    const inj = this.injection?.summary();
+    ctx.fillText(`Injection: ${inj ? `${fmt(inj.score, 2)} jitter ${fmt(inj.jitterMs, 2)}ms noise ${fmt(inj.noise, 2)} ${inj.reasons.join(',')}` : 'off'}`, 16, 206);
+
+    // Progress bar for current challenge
+    if (progress > 0) {
+      ctx.fillStyle = "rgba(23,201,100,0.7)";
+      ctx.fillRect(16, 216, 200 * (progress / 100), 6);
+      ctx.strokeStyle = "rgba(255,255,255,0.3)";
+      ctx.strokeRect(16, 216, 200, 6);
+    }
+    ctx.restore();
+  }
+
+  // Main loop -------------------------------------------------------------
+  loop() {
+    if (!this.running || this.pauses.size) return;
+    const now = performance.now();
+    if (this.startDeadline && now > this.startDeadline) {
+      this.setStatus(this.t("status.timeout"), "err");
+      this.setResult(this.t("result.timeout"), "err");
+      this.emit("timeout", { challenge: this.currentChallenge, index: this.currentChallengeIndex });
+      this.finish("timeout");
+      this.teardown();
+      return;
+    }
+
+    const video = this.video;
+    const videoTime = video.currentTime * 1000;
+    if (videoTime === this.lastVideoTime) {
+      this.rafId = requestAnimationFrame(this.loop);
+      return;
+    }
+    this.lastVideoTime = videoTime;
+    const ts = this.timeBase + videoTime;
+    this.lastFrameTime = ts;
+    this.timer.tick(now);
+    if (!this.frameCallbacks) this.injection?.frame(videoTime);
+    if (this.recalibrate) {
+      this.recalibrate = false;
+      this.detector.resume(ts);
+      this.recorder?.resume(ts, this.activeTime(now));
+      this.compactTrace?.resume(ts);
+    }
+
+    const out = this.timer.measure("detect", () => this.landmarker.detectForVideo(video, ts));
+    const faces = out.faceLandmarks;
+
+    if (faces && faces.length > 0) {
+      // Follow the face that has been doing the session, not whichever comes first
+      const i = pickPrimaryFace(faces, this.detector.continuity.center);
+      const face = faces[i];
+      const blendshapes = out.faceBlendshapes?.[i]?.categories || null;
+      const transformMatrix = out.facialTransformationMatrixes?.[i] || null;
+
+      // Pixels are sampled first: the light challenge reads the skin color
+      const bounds = faceBounds(face);
+      const signals = this.spoofFlagged ? {} : this.samplePixels(face, bounds, ts);
+      const frame = this.timer.measure("detector", () => this.detector.update({
+        landmarks: face, blendshapes, matrix: transformMatrix, timestamp: ts,
+        skinColor: signals.skinColor, skinColorAt: signals.skinColorAt, otherFaces: faces.filter((_, k) => k !== i), quality: signals.quality
+      }));
+      this.compactTrace?.frame(ts, frame.metrics);
+      this.timer.measure("overlay", () => this.drawOverlay(face, bounds));
+      for (const t of frame.transitions) this.handleTransition(t);
+      this.updateFlash(ts);
+      this.recorder?.frame(ts, this.activeTime(now), out, signals);
+      this.analyzeSpoof(signals);
+      // A spoof verdict tears the session down mid-frame
+      if (!this.running) return;
+      if (this.listeners.has("frame")) this.emitFrame(ts, frame.metrics, signals);
+      if (frame.state === "failed") {
+        const failure = this.detector.failure;
+        if (failure.kind === "spoof") {
+          this.spoofFlag(failure.reason);
+        } else {
+          this.finish("timeout", failure.reason);
+          this.teardown();
+        }
+        return;
+      }
+
+      if (frame.quality && !frame.quality.ok && frame.state !== "completed") {
+        // Calibration and progress are on hold; coach the user out of it
+        this.setStatus(this.t(frame.quality.issue ? `quality.${frame.quality.issue}` : "status.positionFace"), "warn");
+      } else if (frame.state === "calibrating") {
+        this.setStatus(this.t(frame.frameRate.low ? "status.calibratingLowFps" : "status.calibrating", { percent: frame.calibration }), "warn", null);
+      } else if (frame.state === "challenge") {
+        const progress = frame.progress;
+        const label = this.currentChallenge?.label || this.t("steps.completing");
+        this.setChallengeStatus(this.t(this.cuePhase === "wait" ? "steps.wait" : "steps.do", { challenge: label }), 'warn');
+        if (progress !== this.lastProgress) {
+          this.lastProgress = progress;
+          this.emit("challengeProgress", { challenge: this.currentChallenge, index: this.currentChallengeIndex, progress });
+        }
+        // Update progress every few frames to avoid excessive re-renders
+        if (Math.floor(performance.now() / 100) % 2 === 0) {
+          this.renderChallengeList(progress);
+        }
+      } else {
+        this.setChallengeStatus(this.t("steps.complete"), 'ok');
+        this.setStatus(this.t("status.evaluating"), 'ok');
+      }
+
+      if (this.config.debug && frame.state !== "calibrating") {
+        this.drawDebug(frame.metrics);
+      }
+
+      if (frame.state === "completed") {
+        if (this.policy.requirePulse) {
+          const present = pulsePresent(this.pulse.summary(), this.config);
+          if (present === null) {
+            // Challenges are done but the pulse window isn't full yet
+            this.setStatus(this.t("status.holdStill"), 'warn');
+            this.rafId = requestAnimationFrame(this.loop);
+            return;
+          }
+          // Under the risk score the pulse is a required sub-score instead
+          if (!present && !this.config.riskScore) {
+            this.spoofFlag("noPulse");
+            return;
+          }
+        }
+        this.conclude();
+        this.teardown();
+        return;
+      }
+    } else {
+      const frame = this.detector.noFace(ts);
+      this.recorder?.frame(ts, this.activeTime(now), out);
+      this.compactTrace?.frame(ts, null);
+      this.drawOverlay(null);
+      for (const t of frame.transitions) this.handleTransition(t);
+      if (frame.state === "failed") {
+        this.spoofFlag(this.detector.failure.reason);
+        return;
+      }
+      this.setStatus(this.t("status.showFace"), "warn");
+    }
+
+    this.rafId = requestAnimationFrame(this.loop);
+  }
+}
@@ -0,0 +1,101 @@
+// Signed verification result (WebCrypto)
+//
+// A session generates an ECDSA P-256 key pair when it starts. The private key
+// is non-extractable; the public key is sent to the backend right away (see
+// the "sessionKey" event) and travels inside the result. At the end the
+// session signs a compact result:
+//   {
+//     "v": 1,
+//     "nonce": "<server-issued nonce>",
+//     "verdict": "verified" | "review" | "spoof" | "timeout",
+//     "reason": <reason code (see risk.js)|null>,
+//     "challenges": [{ "type": "blink", "ms": 2140, "outcome": "passed", "latencyMs": null }, ...],
+//     "scores": { "screenReplay": 0.12, "pulse": 0.8, "motion": 3.4 },
+//     "risk": { "score": 0.83, "band": "accept", "reasons": [] } | null,
+//     "frameRate": { "fps": 29.7, "dropped": 3, "low": false } | null,
+//     "injection": { "score": 1, "reasons": [] } | null,
+//     "durationMs": 14210,
+//     "traceSha256": "<hex digest of the compact trace>" | null,
+//     "publicKey": { JWK },
+//     "signature": "<base64url ECDSA/SHA-256 over the canonical JSON of the rest>"
+//   }
+// The browser is still untrusted; what the signature buys is that a result
+// belongs to the key registered for that nonce and wasn't edited afterwards.
+export const RESULT_VERSION = 1;
+
+const KEY_ALGORITHM = { name: "ECDSA", namedCurve: "P-256" };
+const SIGN_ALGORITHM = { name: "ECDSA", hash: "SHA-256" };
+
+// JSON with object keys sorted at every level, so both sides hash the same bytes
+export function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes))).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+// { privateKey: CryptoKey (non-extractable), publicKey: JWK }
+export async function createSessionKey() {
+  const pair = await crypto.subtle.generateKey(KEY_ALGORITHM, false, ["sign", "verify"]);
+  const jwk = await crypto.subtle.exportKey("jwk", pair.publicKey);
+  return { privateKey: pair.privateKey, publicKey: { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y } };
+}
+
+const round = (v, digits = 3) => (typeof v === "number" && isFinite(v) ? Number(v.toFixed(digits)) : null);
+
+// Unsigned result body from the session's end state
+export function compactResult({ nonce, verdict, reason, sequence, scores, risk = null, frameRate = null, injection = null, durationMs, traceSha256 = null }) {
+  return {
+    v: RESULT_VERSION,
+    nonce: nonce ?? null,
+    verdict,
+    reason: reason ?? null,
+    challenges: sequence.map(c => ({
+      type: c.key,
+      ms: round(c.durationMs, 0),
+      outcome: c.done ? c.outcome || "passed" : null,
+      latencyMs: round(c.reaction?.latencyMs, 0)
+    })),
+    scores: {
+      screenReplay: round(scores.screenReplay),
+      pulse: round(scores.pulse),
+      motion: round(scores.motion)
+    },
+    risk: risk ? { score: round(risk.score), band: risk.band, reasons: risk.reasons } : null,
+    frameRate: frameRate ? { fps: round(frameRate.fps, 1), dropped: frameRate.dropped, low: frameRate.low } : null,
+    injection: injection ? { score: round(injection.score), reasons: injection.reasons } : null,
+    durationMs: round(durationMs, 0),
+    traceSha256
+  };
+}
+
+export async function signResult(body, key) {
+  const payload = { ...body, publicKey: key.publicKey };
+  const data = new TextEncoder().encode(canonicalJSON(payload));
+  const signature = await crypto.subtle.sign(SIGN_ALGORITHM, key.privateKey, data);
+  return { ...payload, signature: toBase64Url(signature) };
+}
+
+// True when `signature` matches the rest of the result under `publicKey`
+export async function verifySignature(result) {
+  const { signature, ...payload } = result;
+  if (!signature || !payload.publicKey) return false;
+  try {
+    const key = await crypto.subtle.importKey("jwk", payload.publicKey, KEY_ALGORITHM, false, ["verify"]);
+    const data = new TextEncoder().encode(canonicalJSON(payload));
+    return await crypto.subtle.verify(SIGN_ALGORITHM, key, fromBase64Url(signature), data);
+  } catch (e) {
+    return false;
+  }
+}
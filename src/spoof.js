@@ -0,0 +1,102 @@
+// Spoof heuristics (pure, no DOM)
+// Pixel sampling happens in the session; this module only sees numbers,
+// so recorded traces can be replayed through the same decision logic.
+// Windows and waits are in ms of frame time, like the detector's.
+
+const MOTION_WINDOW_MS = 1000;    // motion energy averaged over this long
+const EAR_WINDOW_MS = 2000;       // smoothed EAR spread measured over this long
+const MOTION_MIN_MS = 650;        // motion covered before the static image check
+const STATIC_AFTER_MS = 700;      // time since calibration before the static image check
+const EYES_AFTER_MS = 1300;       // ... and before the static eyes check
+export const LOW_MOTION = 0.8;    // mean motion energy of a still image
+
+// Drops entries older than `windowMs` before `t`; returns the span covered
+function prune(history, t, windowMs) {
+  while (history.length && t - history[0].t > windowMs) history.shift();
+  return history.length ? t - history[0].t : 0;
+}
+
+// Mean grayscale difference per pixel between two RGBA buffers
+export function motionEnergy(current, previous) {
+  let diffSum = 0;
+  if (previous && previous.length === current.length) {
+    for (let i = 0; i < current.length; i += 4) {
+      // grayscale diff
+      const da = (current[i] + current[i+1] + current[i+2]) / 3;
+      const db = (previous[i] + previous[i+1] + previous[i+2]) / 3;
+      diffSum += Math.abs(da - db);
+    }
+  }
+  return diffSum / (current.length / 4);
+}
+
+export class SpoofAnalyzer {
+  constructor(config) {
+    this.config = config;
+    this.reset();
+  }
+
+  reset() {
+    this.motionEnergyHistory = [];  // { t, v }
+    this.earHistory = [];           // { t, v }
+    this.motionMs = 0;              // time the histories cover
+    this.earMs = 0;
+    this.calibratedAt = null;       // first sample after the EAR calibration
+    this.blinks = 0;
+  }
+
+  get averageMotion() {
+    const h = this.motionEnergyHistory;
+    return h.length ? h.reduce((a, c) => a + c.v, 0) / h.length : 0;
+  }
+
+  // Standard deviation of the smoothed EAR over the recent frames
+  get earSpread() {
+    const h = this.earHistory;
+    if (h.length < 2) return 0;
+    const mean = h.reduce((a, c) => a + c.v, 0) / h.length;
+    return Math.sqrt(h.reduce((a, c) => a + (c.v - mean) ** 2, 0) / h.length);
+  }
+
+  // Inputs to the risk score (see risk.js)
+  summary() {
+    return {
+      motion: this.averageMotion,
+      motionMs: this.motionMs,
+      earSpread: this.earSpread,
+      earMs: this.earMs,
+      blinks: this.blinks
+    };
+  }
+
+  // Feed one motion energy sample; returns a spoof reason or null.
+  // `detector` is the ChallengeDetector after this frame's update.
+  update(energy, detector) {
+    const d = detector;
+    const t = d.lastTimestamp;
+    this.motionEnergyHistory.push({ t, v: energy });
+    this.motionMs = prune(this.motionEnergyHistory, t, MOTION_WINDOW_MS);
+    this.blinks = d.blinkCount;
+    let sinceCalibrated = 0;
+    if (d.earThreshold !== null) {
+      this.calibratedAt ??= t;
+      sinceCalibrated = t - this.calibratedAt;
+      this.earHistory.push({ t, v: d.smoothEAR });
+      this.earMs = prune(this.earHistory, t, EAR_WINDOW_MS);
+    }
+    // Evaluate low variance scenario after calibration done
+    if (d.earThreshold !== null && this.motionMs >= MOTION_MIN_MS) {
+      if (this.averageMotion < LOW_MOTION && d.blinkCount === 0 && sinceCalibrated > STATIC_AFTER_MS) {
+        // Very low motion, no blink: possible static image
+        return "lowMotion";
+      }
+    }
+    // EAR stability spoof check (printed eye holes / video loop)
+    if (d.earThreshold !== null && d.blinkCount === 0 && sinceCalibrated > EYES_AFTER_MS) {
+      // If smoothEAR fluctuates extremely little
+      const delta = Math.abs(d.smoothEAR - d.earThreshold);
+      if (delta < 0.005) return "staticEyes";
+    }
+    return null;
+  }
+}
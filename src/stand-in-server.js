@@ -0,0 +1,51 @@
+// Local stand-in for the backend half of the signed-result protocol, used by
+// the demo and for trying the verifier without a real server. A deployment
+// keeps this state server-side and only hands the page
+// { nonce, challengeSeed, policy }.
+import { DEFAULT_POLICY, resolvePolicy } from "./policy.js";
+import { randomToken } from "./random.js";
+
+export class StandInServer {
+  constructor({ policy = DEFAULT_POLICY, ttlMs = 5 * 60 * 1000, now = () => Date.now() } = {}) {
+    this.policy = policy;
+    this.ttlMs = ttlMs;
+    this.now = now;
+    this.issued = new Map();
+  }
+
+  // A fresh attempt: the nonce the result must carry and the seed that
+  // decides the challenge sequence. The user's accessibility profile and
+  // the escalation after failed attempts go into the issued policy, so the
+  // verifier draws the same sequence (see policy.js). A real backend counts
+  // failed attempts itself instead of taking the page's word for it.
+  issue({ accessibility = null, escalation = 0 } = {}) {
+    let policy = this.policy;
+    if (accessibility || escalation) {
+      policy = { ...resolvePolicy(policy), escalation, ...(accessibility ? { accessibility } : {}) };
+    }
+    const challenge = {
+      nonce: randomToken(),
+      challengeSeed: randomToken(),
+      policy,
+      expiresAt: this.now() + this.ttlMs
+    };
+    this.issued.set(challenge.nonce, { ...challenge, publicKey: null });
+    return challenge;
+  }
+
+  // Pins the session key to the nonce; the first key wins
+  bindKey(nonce, publicKey) {
+    const record = this.issued.get(nonce);
+    if (!record || record.publicKey) return false;
+    record.publicKey = publicKey;
+    return true;
+  }
+
+  // Single use: returns the issued record once, or null when unknown or expired
+  consume(nonce) {
+    const record = this.issued.get(nonce);
+    this.issued.delete(nonce);
+    if (!record || this.now() > record.expiresAt) return null;
+    return record;
+  }
+}
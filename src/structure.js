@@ -0,0 +1,141 @@
+// 3D structure check for head turns (pure, no DOM)
+//
+// A flat photo or screen, even bent or rotated, moves like a plane: the 2D
+// landmarks of the turned face are a homography of the neutral ones. A real
+// head shows parallax instead — the nose tip swings relative to the cheek
+// contour because it sits in front of it. The landmark z values must also
+// have the depth ordering of a face (nose in front, eye corners, then the
+// ear-side contour).
+
+// Spread of landmarks across the face: oval, ear side, eyes, nose, mouth
+export const STRUCTURE_POINTS = [10, 152, 234, 454, 127, 356, 58, 288, 33, 133, 362, 263, 1, 4, 168, 61, 291, 199, 9];
+
+const NOSE_TIP = 1;
+const CHEEK_LEFT = 234;
+const CHEEK_RIGHT = 454;
+const EYE_CORNERS = [33, 263];
+
+// Solves A x = b (n x n) by Gaussian elimination with partial pivoting
+function solve(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[pivot][c])) pivot = r;
+    if (Math.abs(M[pivot][c]) < 1e-12) return null;
+    [M[c], M[pivot]] = [M[pivot], M[c]];
+    for (let r = c + 1; r < n; r++) {
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = M[r][n];
+    for (let k = r + 1; k < n; k++) s -= M[r][k] * x[k];
+    x[r] = s / M[r][r];
+  }
+  return x;
+}
+
+// Hartley normalization: centroid at origin, mean distance sqrt(2)
+function normalize(pts) {
+  const cx = pts.reduce((a, p) => a + p.x, 0) / pts.length;
+  const cy = pts.reduce((a, p) => a + p.y, 0) / pts.length;
+  const d = pts.reduce((a, p) => a + Math.hypot(p.x - cx, p.y - cy), 0) / pts.length || 1;
+  const s = Math.SQRT2 / d;
+  return { pts: pts.map(p => ({ x: (p.x - cx) * s, y: (p.y - cy) * s })), scale: s };
+}
+
+// Least-squares homography (h33 = 1) from src to dst point lists
+function fitHomography(src, dst) {
+  const AtA = Array.from({ length: 8 }, () => new Array(8).fill(0));
+  const Atb = new Array(8).fill(0);
+  const addRow = (row, v) => {
+    for (let i = 0; i < 8; i++) {
+      Atb[i] += row[i] * v;
+      for (let j = 0; j < 8; j++) AtA[i][j] += row[i] * row[j];
+    }
+  };
+  for (let i = 0; i < src.length; i++) {
+    const { x, y } = src[i], { x: u, y: v } = dst[i];
+    addRow([x, y, 1, 0, 0, 0, -u * x, -u * y], u);
+    addRow([0, 0, 0, x, y, 1, -v * x, -v * y], v);
+  }
+  const h = solve(AtA, Atb);
+  return h ? [...h, 1] : null;
+}
+
+// RMS reprojection error of the best plane-to-plane mapping, as a fraction
+// of face width. Near zero means the landmarks moved like a flat surface.
+export function homographyResidual(ref, cur, ids = STRUCTURE_POINTS) {
+  const a = normalize(ids.map(i => ref[i]));
+  const b = normalize(ids.map(i => cur[i]));
+  const h = fitHomography(a.pts, b.pts);
+  if (!h) return 0;
+  let sq = 0;
+  for (let i = 0; i < a.pts.length; i++) {
+    const { x, y } = a.pts[i];
+    const w = h[6] * x + h[7] * y + h[8];
+    const u = (h[0] * x + h[1] * y + h[2]) / w;
+    const v = (h[3] * x + h[4] * y + h[5]) / w;
+    sq += (u - b.pts[i].x) ** 2 + (v - b.pts[i].y) ** 2;
+  }
+  const faceWidth = Math.abs(cur[CHEEK_RIGHT].x - cur[CHEEK_LEFT].x) || 1;
+  // Back to image units, then relative to the face
+  return Math.sqrt(sq / a.pts.length) / b.scale / faceWidth;
+}
+
+// Horizontal shift of the nose tip relative to the cheek midpoint between
+// two frames, in face widths. A plane compresses uniformly, so it stays ~0.
+export function noseParallax(ref, cur) {
+  const offset = (lms) => {
+    const mid = (lms[CHEEK_LEFT].x + lms[CHEEK_RIGHT].x) / 2;
+    const width = Math.abs(lms[CHEEK_RIGHT].x - lms[CHEEK_LEFT].x) || 1;
+    return (lms[NOSE_TIP].x - mid) / width;
+  };
+  return Math.abs(offset(cur) - offset(ref));
+}
+
+// 0..1: share of face-shaped depth orderings the landmark z values satisfy,
+// scaled down when the overall depth range is implausibly shallow
+export function depthPlausibility(lms) {
+  const z = (i) => lms[i].z ?? 0;
+  const checks = [
+    ...EYE_CORNERS.map(i => z(NOSE_TIP) < z(i)),
+    ...EYE_CORNERS.flatMap(i => [z(i) < z(CHEEK_LEFT), z(i) < z(CHEEK_RIGHT)])
+  ];
+  const ordered = checks.filter(Boolean).length / checks.length;
+  const width = Math.abs(lms[CHEEK_RIGHT].x - lms[CHEEK_LEFT].x) || 1;
+  const depth = (Math.max(z(CHEEK_LEFT), z(CHEEK_RIGHT)) - z(NOSE_TIP)) / width;
+  return ordered * Math.min(Math.max(depth / 0.15, 0), 1);
+}
+
+// Full comparison of a neutral reference frame with a turned frame
+export function analyzeStructure(ref, cur) {
+  return {
+    residual: homographyResidual(ref, cur),
+    parallax: noseParallax(ref, cur),
+    depth: depthPlausibility(cur)
+  };
+}
+
+// Keeps the strongest evidence seen during one turn
+export function mergeStructure(best, next) {
+  if (!best) return next;
+  return {
+    residual: Math.max(best.residual, next.residual),
+    parallax: Math.max(best.parallax, next.parallax),
+    depth: Math.max(best.depth, next.depth)
+  };
+}
+
+// Returns a spoof reason when the turn looked flat, else null
+export function structureVerdict(result, params) {
+  if (!result) return null;
+  if (result.residual < params.minResidual && result.parallax < params.minParallax) {
+    return "flatSurface";
+  }
+  if (result.depth < params.minDepth) return "implausibleDepth";
+  return null;
+}
@@ -0,0 +1,117 @@
+// Frame timing (pure, no DOM)
+//
+// Detection runs on the timestamps of the frames rather than on frame
+// counts, so the same settings hold at 12 fps and at 60 fps.
+
+// EMA factor for a sample `dt` ms after the last one, so the average forgets
+// with time constant `tauMs` however often samples come
+export const smoothing = (dt, tauMs) => (tauMs > 0 ? 1 - Math.exp(-Math.max(dt, 0) / tauMs) : 1);
+
+// Frame pacing from the frame timestamps. Reports dropped frames (a gap well
+// over the usual interval) and a frame rate too low for reliable detection.
+export class FrameRateMonitor {
+  constructor(config = {}) {
+    this.config = {
+      minFps: 10,               // below this, for lowFpsMs, the frame rate is too low
+      lowFpsMs: 2000,
+      tauMs: 1000,              // time constant of the averaged frame interval
+      dropFactor: 1.8,          // a gap this many intervals long means frames were dropped
+      maxStepMs: 250,           // longest time a single frame stands for (see step())
+      ...config
+    };
+    this.reset();
+  }
+
+  reset() {
+    this.last = null;
+    this.interval = null;       // averaged ms between frames
+    this.frames = 0;
+    this.dropped = 0;
+    this.low = false;
+    this.lowSince = null;
+  }
+
+  // Frames stopped on purpose (a pause); the next one starts afresh instead
+  // of counting the gap as dropped frames
+  restart() {
+    this.last = null;
+    this.lowSince = null;
+  }
+
+  get fps() {
+    return this.interval ? 1000 / this.interval : null;
+  }
+
+  // Next frame. Returns { dt, changed }: dt is the ms since the previous
+  // frame, changed is true when the low frame rate condition flipped.
+  update(timestamp) {
+    const c = this.config;
+    this.frames++;
+    const dt = this.last === null ? 0 : timestamp - this.last;
+    this.last = timestamp;
+    if (dt <= 0) return { dt: 0, changed: false };
+
+    if (this.interval !== null && dt > c.dropFactor * this.interval) {
+      this.dropped += Math.round(dt / this.interval) - 1;
+    }
+    this.interval = this.interval === null ? dt : this.interval + smoothing(dt, c.tauMs) * (dt - this.interval);
+
+    const low = this.fps < c.minFps;
+    if (low) this.lowSince ??= timestamp;
+    else this.lowSince = null;
+    const next = low ? this.low || timestamp - this.lowSince >= c.lowFpsMs : false;
+    const changed = next !== this.low;
+    this.low = next;
+    return { dt, changed };
+  }
+
+  // Time one frame counts for in hold and calibration durations: a stall
+  // doesn't complete a hold on its own
+  step(dt) {
+    return Math.min(dt, this.config.maxStepMs);
+  }
+
+  summary() {
+    return { fps: this.fps, frames: this.frames, dropped: this.dropped, low: this.low };
+  }
+}
+
+// Per-stage frame timings for the debug readout, as moving averages in ms
+export class StageTimer {
+  constructor(alpha = 0.1) {
+    this.alpha = alpha;           // EMA factor per sample
+    this.reset();
+  }
+
+  reset() {
+    this.stages = {};
+    this.lastFrame = null;
+    this.fps = 0;
+  }
+
+  add(stage, ms) {
+    const prev = this.stages[stage];
+    this.stages[stage] = prev === undefined ? ms : prev + this.alpha * (ms - prev);
+  }
+
+  // Runs fn and times it as `stage`
+  measure(stage, fn) {
+    const start = performance.now();
+    const out = fn();
+    this.add(stage, performance.now() - start);
+    return out;
+  }
+
+  // Call once per processed frame for the frame rate
+  tick(now) {
+    if (this.lastFrame !== null && now > this.lastFrame) {
+      const fps = 1000 / (now - this.lastFrame);
+      this.fps = this.fps ? this.fps + this.alpha * (fps - this.fps) : fps;
+    }
+    this.lastFrame = now;
+  }
+
+  get(stage) {
+    return this.stages[stage] ?? null;
+  }
+}
@@ -0,0 +1,204 @@
+// Server-side plausibility validator for compact traces (see compact-trace.js).
+// Pure, no DOM; meant to run in Node next to verifier.js.
+//
+// Gives the backend its own verdict instead of trusting the client's flag:
+// the trace is re-run through the same challenge logic, and the motion it
+// describes has to look like a person - blinks of human length, head turns
+// with human velocity and acceleration, no jumps between frames, and the
+// small jitter every real landmark track has.
+import { createChallenge } from "./challenges.js";
+import { COMPACT_FIELDS, COMPACT_TRACE_VERSION, rowToMetrics } from "./compact-trace.js";
+import { DEFAULT_CONFIG } from "./config.js";
+import { ChallengeDetector } from "./detector.js";
+import { canonicalJSON } from "./signing.js";
+
+export const VALIDATOR_LIMITS = {
+  minFps: 8,                  // average frame rate
+  maxGapMs: 1000,             // longest gap between two frames
+  minBlinkMs: 50,             // eyes closed for less than this isn't a blink
+  maxBlinkMs: 700,            // ... and for more than this isn't one either
+  maxYawVelocity: 600,        // deg/s between frames
+  maxYawAcceleration: 12000,  // deg/s²
+  maxPitchVelocity: 600,      // deg/s
+  maxWidthJump: 0.25,         // relative face width change between consecutive frames
+  minJitter: 0.02,            // deg, median pose change around its smoothed curve
+  maxViolations: 1            // samples allowed over the motion limits (tracking glitches)
+};
+
+// Frames further apart than this start a new motion segment
+const SEGMENT_GAP_MS = 200;
+
+const sameParams = (a, b) => canonicalJSON(a ?? {}) === canonicalJSON(b ?? {});
+
+function checkFormat(trace) {
+  if (!trace || trace.v !== COMPACT_TRACE_VERSION) return "Unsupported trace format";
+  if (!Array.isArray(trace.frames) || !Array.isArray(trace.sequence) || !trace.sequence.length) return "Malformed trace";
+  if (trace.pauses !== undefined && !(Array.isArray(trace.pauses) && trace.pauses.every(p => Array.isArray(p) && p.length === 2))) {
+    return "Malformed trace";
+  }
+  if (trace.reducedFlash !== undefined && typeof trace.reducedFlash !== "boolean") return "Malformed trace";
+  if (canonicalJSON(trace.fields) !== canonicalJSON(COMPACT_FIELDS)) return "Unexpected trace fields";
+  return null;
+}
+
+// 3-sample moving average of { t, v } points, the reference for jitter
+function smooth(points) {
+  return points.map((p, i) => {
+    const win = points.slice(Math.max(0, i - 1), i + 2);
+    return { t: p.t, v: win.reduce((a, q) => a + q.v, 0) / win.length };
+  });
+}
+
+// Splits a series at gaps, so velocities are never taken across one
+function segments(points) {
+  const out = [];
+  let cur = [];
+  for (const p of points) {
+    if (cur.length && p.t - cur[cur.length - 1].t > SEGMENT_GAP_MS) { out.push(cur); cur = []; }
+    cur.push(p);
+  }
+  if (cur.length) out.push(cur);
+  return out;
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Peak velocity/acceleration, how many samples exceed the limits, and the
+// median deviation from the smoothed curve (the tracker's jitter; a median
+// so the turns themselves don't count)
+function motionStats(points, maxVelocity, maxAcceleration = Infinity) {
+  let peakVelocity = 0, peakAcceleration = 0, violations = 0;
+  const residuals = [];
+  for (const seg of segments(points)) {
+    const s = smooth(seg);
+    for (let i = 0; i < seg.length; i++) residuals.push(Math.abs(seg[i].v - s[i].v));
+    let prevV = null, prevT = null;
+    for (let i = 1; i < seg.length; i++) {
+      const dt = (seg[i].t - seg[i - 1].t) / 1000;
+      const v = (seg[i].v - seg[i - 1].v) / dt;
+      const t = (seg[i].t + seg[i - 1].t) / 2000;
+      const a = prevV !== null ? (v - prevV) / (t - prevT) : 0;
+      peakVelocity = Math.max(peakVelocity, Math.abs(v));
+      peakAcceleration = Math.max(peakAcceleration, Math.abs(a));
+      if (Math.abs(v) > maxVelocity || Math.abs(a) > maxAcceleration) violations++;
+      prevV = v; prevT = t;
+    }
+  }
+  return { peakVelocity, peakAcceleration, violations, jitter: median(residuals), samples: residuals.length };
+}
+
+// options:
+//   sequence  - the challenges the server issued ([{ key | type, params }]), compared with the trace
+//   nonce     - the nonce the trace has to carry
+//   config    - detector config overrides (thresholds)
+//   limits    - VALIDATOR_LIMITS overrides
+// Returns { verdict: "verified" | "rejected", reasons, completed, stats }.
+export function validateTrace(trace, options = {}) {
+  const limits = { ...VALIDATOR_LIMITS, ...options.limits };
+  const reasons = [];
+  const formatError = checkFormat(trace);
+  if (formatError) return { verdict: "rejected", reasons: [formatError], completed: [], stats: null };
+
+  if (options.nonce !== undefined && trace.nonce !== options.nonce) reasons.push("Trace belongs to another nonce");
+  if (options.sequence) {
+    const issued = options.sequence.map(c => ({ type: c.key ?? c.type, params: c.params }));
+    const matches = issued.length === trace.sequence.length &&
+      issued.every((c, i) => c.type === trace.sequence[i].type && sameParams(c.params, trace.sequence[i].params));
+    if (!matches) reasons.push("Challenge sequence differs from the one issued");
+  }
+
+  // Timing of the frames themselves. A pause is a gap the client accounted
+  // for (hidden tab, muted camera); it's left out of the frame rate, and
+  // the detector recalibrates after it like the session's did.
+  const rows = trace.frames;
+  const times = rows.map(r => r[0]);
+  const pauses = new Map((trace.pauses ?? []).map(([from, to]) => [to, from]));
+  let maxGap = 0, pausedMs = 0;
+  for (let i = 1; i < times.length; i++) {
+    const dt = times[i] - times[i - 1];
+    if (!(dt > 0)) { reasons.push("Frame timestamps are not increasing"); break; }
+    if (pauses.get(times[i]) === times[i - 1]) pausedMs += dt;
+    else maxGap = Math.max(maxGap, dt);
+  }
+  const durationMs = times.length > 1 ? times[times.length - 1] - times[0] - pausedMs : 0;
+  const fps = durationMs > 0 ? ((times.length - 1) * 1000) / durationMs : 0;
+  if (fps < limits.minFps) reasons.push(`Frame rate too low (${fps.toFixed(1)} fps)`);
+  if (maxGap > limits.maxGapMs) reasons.push(`Gap of ${Math.round(maxGap)} ms between frames`);
+
+  // Re-run the challenge logic. Per-challenge time limits are left to the
+  // client, where quality holds pause them; only landmark-free checks apply.
+  // The light challenge runs on the timing the client flashed with.
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...options.config,
+    reducedFlash: trace.reducedFlash === true,
+    continuityCheck: false,
+    qualityGate: false,
+    reactionCue: false,
+    riskScore: false,
+    debug: false
+  };
+  const sequence = trace.sequence.map(c => createChallenge(c.type, c.params, 0));
+  const detector = new ChallengeDetector(config, sequence);
+  const blinks = [];
+  let state = "calibrating";
+  for (const row of rows) {
+    if (pauses.has(row[0])) detector.resume(row[0]);
+    const metrics = rowToMetrics(row, trace.fields);
+    const result = metrics ? detector.updateMetrics(metrics) : detector.noFace(row[0]);
+    for (const t of result.transitions) {
+      if (t.type === "blink") blinks.push(t.closedMs);
+    }
+    state = result.state;
+    if (state === "completed" || state === "failed") break;
+  }
+  const completed = sequence.filter(c => c.done).map(c => c.key);
+  if (state === "failed") reasons.push(`Re-run failed: ${detector.failure.reason}`);
+  else if (state !== "completed") reasons.push("Challenges are not completed when re-run");
+
+  // Physical plausibility
+  const badBlinks = blinks.filter(ms => ms < limits.minBlinkMs || ms > limits.maxBlinkMs);
+  if (badBlinks.length) reasons.push(`Implausible blink duration (${badBlinks.map(Math.round).join(", ")} ms)`);
+
+  const faceRows = rows.filter(r => r.length > 1);
+  const series = (field) => {
+    const i = trace.fields.indexOf(field);
+    return faceRows.filter(r => r[i] !== null && r[i] !== undefined).map(r => ({ t: r[0], v: r[i] }));
+  };
+  const yaw = motionStats(series("yaw"), limits.maxYawVelocity, limits.maxYawAcceleration);
+  const pitch = motionStats(series("pitch"), limits.maxPitchVelocity);
+  if (yaw.violations > limits.maxViolations) {
+    reasons.push(`Head turns faster than a person can (${Math.round(yaw.peakVelocity)} deg/s, ${Math.round(yaw.peakAcceleration)} deg/s²)`);
+  }
+  if (pitch.violations > limits.maxViolations) reasons.push(`Head nods faster than a person can (${Math.round(pitch.peakVelocity)} deg/s)`);
+  if (yaw.samples >= 30 && yaw.jitter < limits.minJitter) reasons.push("Head pose has no natural jitter");
+
+  let widthJumps = 0;
+  const widths = series("faceWidth");
+  for (let i = 1; i < widths.length; i++) {
+    if (widths[i].t - widths[i - 1].t > SEGMENT_GAP_MS || !widths[i - 1].v) continue;
+    if (Math.abs(widths[i].v / widths[i - 1].v - 1) > limits.maxWidthJump) widthJumps++;
+  }
+  if (widthJumps > limits.maxViolations) reasons.push("Face size jumps between frames");
+
+  return {
+    verdict: reasons.length ? "rejected" : "verified",
+    reasons,
+    completed,
+    stats: {
+      frames: rows.length,
+      durationMs,
+      pausedMs,
+      fps,
+      maxGapMs: maxGap,
+      blinks,
+      yaw: { peakVelocity: yaw.peakVelocity, peakAcceleration: yaw.peakAcceleration, jitter: yaw.jitter },
+      pitch: { peakVelocity: pitch.peakVelocity },
+      widthJumps
+    }
+  };
+}
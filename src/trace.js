@@ -0,0 +1,226 @@
+// Landmark trace format (NDJSON) + replay driver.
+//
+// A trace is one JSON object per line:
+//   { "type": "header", "format": "liveness-trace", "version": 2, "createdAt", "config",
+//     "sequence": [{ "type": "blink", "params": { "count": 2 }, "timeoutSec": 0, "retries": 1 }, ...],
+//     "injection": <InjectionAnalyzer summary at the end of the run (see injection.js)|null> }
+//   { "type": "frame", "t": <video ms>, "wall": <ms since start>, "faces": [...],
+//     "motionEnergy": <number|null>, "screenReplay": <{ score, samples, moire, flicker, bezel }|null>,
+//     "pulse": <{ score, quality, bpm, duration, samples }|null>,
+//     "skinColor": <{ r, g, b }|null>, "skinColorAt": <video ms of the frame it was sampled from|null>,
+//     "quality": <{ brightness, contrast, sharpness, surround }|null> }
+//   { "type": "pause", "wall": <ms since start>, "reason": "hidden" | "camera" | "switching" }
+//   { "type": "resume", "t": <video ms of the next frame>, "wall": <ms since start> }
+//   { "type": "end", "wall": <ms since start>, "verdict": "verified" | "review" | "spoof" | "timeout" | "stopped", "reason": <code|null> }
+//
+// Each face holds the raw detectForVideo output for that face:
+//   { "landmarks": [[x, y, z], ...], "blendshapes": { "jawOpen": 0.12, ... }, "matrix": [16 numbers] }
+//
+// Only landmarker output and derived numbers are stored, never pixels.
+import { DEFAULT_CONFIG } from "./config.js";
+import { createChallenge } from "./challenges.js";
+import { pickPrimaryFace } from "./continuity.js";
+import { ChallengeDetector } from "./detector.js";
+import { policyDetectorConfig, policyTimeLimitMs, resolvePolicy } from "./policy.js";
+import { pulsePresent } from "./pulse.js";
+import { assessRisk, riskScores } from "./risk.js";
+import { isScreenReplay } from "./screen-replay.js";
+import { SpoofAnalyzer } from "./spoof.js";
+
+export const TRACE_FORMAT = "liveness-trace";
+export const TRACE_VERSION = 2;
+
+function serializeFace(out, i) {
+  const landmarks = out.faceLandmarks[i].map(p => [p.x, p.y, p.z]);
+  const categories = out.faceBlendshapes?.[i]?.categories;
+  const matrix = out.facialTransformationMatrixes?.[i];
+  return {
+    landmarks,
+    blendshapes: categories ? Object.fromEntries(categories.map(c => [c.categoryName, c.score])) : null,
+    matrix: matrix ? Array.from(matrix.data) : null
+  };
+}
+
+// Converts a serialized face back into detector frame input
+export function faceToFrame(face, timestamp) {
+  return {
+    landmarks: face.landmarks.map(([x, y, z]) => ({ x, y, z })),
+    blendshapes: face.blendshapes
+      ? Object.entries(face.blendshapes).map(([categoryName, score]) => ({ categoryName, score }))
+      : null,
+    matrix: face.matrix ? { data: face.matrix } : null,
+    timestamp
+  };
+}
+
+export class TraceRecorder {
+  constructor() {
+    this.lines = [];
+  }
+
+  begin(config, sequence) {
+    this.lines = [{
+      type: "header",
+      format: TRACE_FORMAT,
+      version: TRACE_VERSION,
+      createdAt: new Date().toISOString(),
+      config,
+      sequence: sequence.map(c => ({ type: c.key, params: c.params, timeoutSec: c.timeoutSec, retries: c.retries ?? 0 })),
+      injection: null
+    }];
+  }
+
+  // `signals` holds the derived pixel numbers
+  // ({ motionEnergy, screenReplay, pulse, skinColor, skinColorAt, quality })
+  frame(t, wall, out, signals = {}) {
+    const faces = [];
+    for (let i = 0; i < (out.faceLandmarks?.length || 0); i++) faces.push(serializeFace(out, i));
+    this.lines.push({
+      type: "frame",
+      t,
+      wall,
+      faces,
+      motionEnergy: signals.motionEnergy ?? null,
+      screenReplay: signals.screenReplay ?? null,
+      pulse: signals.pulse ?? null,
+      skinColor: signals.skinColor ?? null,
+      skinColorAt: signals.skinColorAt ?? null,
+      quality: signals.quality ?? null
+    });
+  }
+
+  // Frames stop; "wall" doesn't advance until they resume
+  pause(wall, reason) {
+    this.lines.push({ type: "pause", wall, reason });
+  }
+
+  // Frames start again at `t`, where the detector resumed
+  resume(t, wall) {
+    this.lines.push({ type: "resume", t, wall });
+  }
+
+  // `injection` is the run's injection summary; it's only complete at the
+  // end, so it goes into the header now
+  end(wall, verdict, reason = null, injection = null) {
+    // Only the first verdict counts; stop() after a result must not overwrite it
+    if (this.lines.some(l => l.type === "end")) return;
+    this.lines[0].injection = injection;
+    this.lines.push({ type: "end", wall, verdict, reason });
+  }
+
+  toNDJSON() {
+    return this.lines.map(l => JSON.stringify(l)).join("\n") + "\n";
+  }
+}
+
+export function parseTrace(text) {
+  const lines = text.split("\n").filter(l => l.trim()).map(l => JSON.parse(l));
+  const header = lines[0];
+  if (!header || header.type !== "header" || header.format !== TRACE_FORMAT) {
+    throw new Error("Not a liveness trace");
+  }
+  if (header.version === 1) {
+    // v1 stored bare challenge keys with the old global thresholds
+    header.sequence = header.sequence.map(type => ({
+      type,
+      params: type === "blink" && header.config.requiredBlinks ? { count: header.config.requiredBlinks } : {},
+      timeoutSec: 0
+    }));
+  } else if (header.version !== TRACE_VERSION) {
+    throw new Error(`Unsupported trace version ${header.version} (expected ${TRACE_VERSION})`);
+  }
+  return {
+    header,
+    frames: lines.filter(l => l.type === "frame"),
+    resumes: lines.filter(l => l.type === "resume").map(l => l.t),
+    end: lines.find(l => l.type === "end") || null
+  };
+}
+
+// Feeds a trace through the challenge and spoof logic without a camera.
+// `overrides` lets a regression run try different thresholds on the same trace.
+// Returns { verdict, reason, completed: [keys], frames: <frames consumed>, risk }
+// where risk is the assessment (see risk.js) once the challenges are done,
+// or with a spoof verdict, under config.riskScore; null otherwise.
+export function replayTrace(trace, overrides = {}) {
+  const { header, frames, resumes = [], end } = typeof trace === "string" ? parseTrace(trace) : trace;
+  const config = { ...DEFAULT_CONFIG, ...header.config, ...overrides };
+  const sequence = header.sequence.map(c => ({ ...createChallenge(c.type, c.params, c.timeoutSec), retries: c.retries ?? 0 }));
+  const policy = resolvePolicy(config.policy);
+  const detector = new ChallengeDetector(policyDetectorConfig(config, policy), sequence);
+  const spoof = new SpoofAnalyzer(config);
+  const timeLimitMs = policyTimeLimitMs(policy, config.timeLimitSec);
+
+  let consumed = 0;
+  let pulse = null;
+  let screenReplay = null;
+  const injection = header.injection ?? null;
+  const assess = (fatal = null) => {
+    if (!config.riskScore) return null;
+    const scores = riskScores({ spoof: spoof.summary(), sequence: detector.sequence, screenReplay, pulse, injection }, config);
+    return assessRisk(scores, {
+      ...config.risk,
+      sequence: detector.sequence,
+      injection,
+      required: policy.requirePulse ? ["pulse"] : [],
+      fatal
+    });
+  };
+  const done = (verdict, reason = null, risk = null) => ({
+    verdict,
+    reason,
+    completed: detector.sequence.filter(c => c.done).map(c => c.key),
+    frames: consumed,
+    risk
+  });
+  const spoofed = (reason) => done("spoof", reason, assess(reason));
+
+  const resumed = new Set(resumes);
+  for (const f of frames) {
+    if (timeLimitMs && f.wall > timeLimitMs) return done("timeout");
+    consumed++;
+    // Like the session after a pause
+    if (resumed.has(f.t)) detector.resume(f.t);
+    if (!f.faces.length) {
+      if (detector.noFace(f.t).state === "failed") return spoofed(detector.failure.reason);
+      continue;
+    }
+    pulse = f.pulse ?? pulse;
+    screenReplay = f.screenReplay ?? screenReplay;
+
+    const faces = f.faces.map(face => faceToFrame(face, f.t));
+    const i = pickPrimaryFace(faces.map(face => face.landmarks), detector.continuity.center);
+    const result = detector.update({
+      ...faces[i],
+      skinColor: f.skinColor ?? null,
+      skinColorAt: f.skinColorAt ?? null,
+      quality: f.quality ?? null,
+      otherFaces: faces.filter((_, k) => k !== i).map(face => face.landmarks)
+    });
+    // With the risk score these heuristics only feed it, like in the session
+    if (f.motionEnergy !== null) {
+      const reason = spoof.update(f.motionEnergy, detector);
+      if (reason && !config.riskScore) return spoofed(reason);
+    }
+    if (!config.riskScore && isScreenReplay(f.screenReplay, config)) return spoofed("screenReplay");
+    if (result.state === "failed") {
+      const { kind, reason } = detector.failure;
+      return kind === "spoof" ? spoofed(reason) : done(kind, reason);
+    }
+    if (result.state === "completed") {
+      if (policy.requirePulse) {
+        const present = pulsePresent(pulse, config);
+        if (present === null) continue;
+        if (!present && !config.riskScore) return spoofed("noPulse");
+      }
+      const risk = assess();
+      if (!risk || risk.band === "accept") return done("verified", null, risk);
+      if (risk.band === "review") return done("review", risk.reasons[0] || null, risk);
+      return done("spoof", risk.findings[0] || risk.reasons[0] || "spoof", risk);
+    }
+  }
+
+  // The session can time out between video frames
+  if (timeLimitMs && end && end.wall > timeLimitMs) return done("timeout");
+  return done(end?.verdict === "stopped" ? "stopped" : "incomplete");
+}
@@ -0,0 +1,243 @@
+// Threshold tuning (pure, no DOM)
+//
+// Everything the developer panel (see dashboard.js) needs besides the page:
+// slider ranges for the config thresholds, the threshold groups and the
+// challenge params, the rolling signal history its charts draw from, and the
+// saved overrides.
+//
+// Overrides are a partial config: top-level thresholds, threshold groups
+// ({ "quality": { "minFaceSize": 0.25 } }) and `challengeParams`
+// ({ "<type>": { "<param>": value } }). Exported as JSON
+// they can be passed to LivenessSession as they are. Tuned challenge params
+// differ from the issued policy's, so a server that rebuilds the sequence
+// (see verifier.js and trace-validator.js) disagrees: tune, then move the
+// values into the policy.
+import { CHALLENGE_TYPES } from "./challenges.js";
+import { InjectionAnalyzer } from "./injection.js";
+import { QualityGate } from "./quality.js";
+import { ReactionTracker } from "./reaction.js";
+import { RISK_DEFAULTS } from "./risk.js";
+import { FrameRateMonitor } from "./timing.js";
+
+const STORAGE_KEY = "liveness.tuning";
+
+// Config thresholds the panel offers: { min, max, step }
+export const CONFIG_TUNABLES = {
+  fallbackEAR: { min: 0.1, max: 0.35, step: 0.005 },
+  calibrationMs: { min: 300, max: 4000, step: 100 },
+  earClosedMs: { min: 20, max: 300, step: 10 },
+  minOpenMsAfterBlink: { min: 0, max: 300, step: 10 },
+  smoothTauMs: { min: 0, max: 400, step: 10 },
+  timeLimitSec: { min: 10, max: 180, step: 5 },
+  screenReplayThreshold: { min: 0, max: 1, step: 0.05 },
+  screenReplayMinSamples: { min: 5, max: 100, step: 5 },
+  pulseMinScore: { min: 0, max: 1, step: 0.05 },
+  pulseMinSec: { min: 2, max: 20, step: 1 },
+  faceLostResetMs: { min: 200, max: 5000, step: 100 },
+  faceLostFailMs: { min: 1000, max: 15000, step: 500 },
+  faceChangeThreshold: { min: 0.02, max: 0.3, step: 0.01 }
+};
+
+// Thresholds of the nested config groups the panel offers: { min, max, step }.
+// Left out: the risk weights and the injection penalties (per-signal tables,
+// not thresholds), and the smoothing constants of the frame rate.
+const GROUP_RANGES = {
+  quality: {
+    minBrightness: { min: 0, max: 160, step: 5 },
+    maxBrightness: { min: 120, max: 255, step: 5 },
+    maxBacklight: { min: 0, max: 150, step: 5 },
+    minContrast: { min: 0, max: 50, step: 1 },
+    minSharpness: { min: 0, max: 150, step: 5 },
+    minFaceSize: { min: 0.05, max: 0.6, step: 0.01 },
+    maxFaceSize: { min: 0.3, max: 1, step: 0.01 },
+    maxOffset: { min: 0.05, max: 0.5, step: 0.01 },
+    maxAngle: { min: 5, max: 45, step: 1 },
+    debounceMs: { min: 0, max: 500, step: 10 }
+  },
+  reaction: {
+    onset: { min: 0.05, max: 1, step: 0.05 },
+    baselineMs: { min: 100, max: 1000, step: 50 },
+    minLatencyMs: { min: 0, max: 500, step: 10 },
+    minLatencySpreadMs: { min: 0, max: 150, step: 5 },
+    maxSpeed: { min: 5, max: 100, step: 5 },
+    cueMinMs: { min: 200, max: 4000, step: 100 },
+    cueMaxMs: { min: 500, max: 6000, step: 100 },
+    cueWindowMs: { min: 500, max: 4000, step: 100 },
+    cueMaxMisses: { min: 0, max: 5, step: 1 }
+  },
+  risk: {
+    accept: { min: 0.3, max: 1, step: 0.05 },
+    review: { min: 0, max: 0.8, step: 0.05 },
+    weak: { min: 0.1, max: 0.9, step: 0.05 }
+  },
+  injection: {
+    minJitterMs: { min: 0, max: 1, step: 0.05 },
+    maxDuplicateRatio: { min: 0, max: 0.5, step: 0.01 },
+    minNoise: { min: 0, max: 3, step: 0.1 }
+  },
+  frameRate: {
+    minFps: { min: 1, max: 30, step: 1 },
+    lowFpsMs: { min: 500, max: 10000, step: 250 },
+    dropFactor: { min: 1.2, max: 4, step: 0.1 }
+  }
+};
+
+// Defaults of the object each group configures
+const GROUP_DEFAULTS = {
+  quality: () => new QualityGate().config,
+  reaction: () => new ReactionTracker().config,
+  risk: () => RISK_DEFAULTS,
+  injection: () => new InjectionAnalyzer().config,
+  frameRate: () => new FrameRateMonitor().config
+};
+
+// Config keys of the threshold groups
+export const THRESHOLD_GROUPS = Object.keys(GROUP_RANGES);
+
+// { "<group>": { "<threshold>": { min, max, step, value } } }, `value` the default
+export function groupTunables() {
+  const tunables = {};
+  for (const [group, ranges] of Object.entries(GROUP_RANGES)) {
+    const defaults = GROUP_DEFAULTS[group]();
+    tunables[group] = {};
+    for (const [name, range] of Object.entries(ranges)) tunables[group][name] = { ...range, value: defaults[name] };
+  }
+  return tunables;
+}
+
+// Range around a default: 0 to three times it, in steps of about a tenth of
+// its order of magnitude (whole numbers stay whole)
+function paramRange(value) {
+  if (value === 0) return { min: 0, max: 1, step: 0.01 };
+  let step = 10 ** Math.floor(Math.log10(Math.abs(value)) - 1);
+  if (Number.isInteger(value)) step = Math.max(1, step);
+  return { min: Math.min(0, value * 3), max: Math.max(0, value * 3), step };
+}
+
+// { "<type>": { "<param>": { min, max, step, value } } } for every numeric
+// default in the challenge registry
+export function challengeTunables() {
+  const tunables = {};
+  for (const [type, def] of Object.entries(CHALLENGE_TYPES)) {
+    const params = {};
+    for (const [name, value] of Object.entries(def.defaults || {})) {
+      if (typeof value === "number") params[name] = { ...paramRange(value), value };
+    }
+    if (Object.keys(params).length) tunables[type] = params;
+  }
+  return tunables;
+}
+
+// Drops the nulls from `changes` merged over `values`; null without any left
+function mergeGroup(values, changes) {
+  const merged = { ...values, ...changes };
+  for (const name of Object.keys(changes)) if (changes[name] === null) delete merged[name];
+  return Object.keys(merged).length ? merged : null;
+}
+
+// Overrides with `changes` applied; threshold groups merge per threshold,
+// challengeParams per type and param, and a null value drops the override
+export function mergeTuning(overrides, changes) {
+  const merged = { ...overrides, challengeParams: { ...overrides.challengeParams } };
+  for (const [key, value] of Object.entries(changes)) {
+    if (THRESHOLD_GROUPS.includes(key) && value !== null) {
+      const group = mergeGroup(merged[key], value);
+      if (group) merged[key] = group;
+      else delete merged[key];
+      continue;
+    }
+    if (key !== "challengeParams") {
+      if (value === null) delete merged[key];
+      else merged[key] = value;
+      continue;
+    }
+    if (value === null) {
+      merged.challengeParams = {};
+      continue;
+    }
+    for (const [type, params] of Object.entries(value)) {
+      const typeParams = mergeGroup(merged.challengeParams[type], params);
+      if (typeParams) merged.challengeParams[type] = typeParams;
+      else delete merged.challengeParams[type];
+    }
+  }
+  if (!Object.keys(merged.challengeParams).length) delete merged.challengeParams;
+  return merged;
+}
+
+function defaultStorage() {
+  try {
+    return typeof localStorage !== "undefined" ? localStorage : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+export function loadTuning(storage = defaultStorage()) {
+  try {
+    const raw = storage?.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+export function saveTuning(overrides, storage = defaultStorage()) {
+  try {
+    if (Object.keys(overrides).length) storage?.setItem(STORAGE_KEY, JSON.stringify(overrides));
+    else storage?.removeItem(STORAGE_KEY);
+  } catch (e) { /* ignore */ }
+}
+
+// Rolling window of per-frame signals and the events between them. Samples
+// are { t, ...values } on the frame clock; markers { t, kind, label }.
+export class SignalHistory {
+  constructor(windowMs = 10000) {
+    this.windowMs = windowMs;
+    this.clear();
+  }
+
+  clear() {
+    this.samples = [];
+    this.markers = [];
+  }
+
+  get end() {
+    return this.samples.length ? this.samples[this.samples.length - 1].t : 0;
+  }
+
+  get start() {
+    return this.end - this.windowMs;
+  }
+
+  push(t, values) {
+    // The frame clock starts over with each run
+    if (t < this.end) this.clear();
+    this.samples.push({ t, ...values });
+    this.prune();
+  }
+
+  mark(kind, label = "", t = this.end) {
+    this.markers.push({ t, kind, label });
+  }
+
+  prune() {
+    const start = this.start;
+    while (this.samples.length && this.samples[0].t < start) this.samples.shift();
+    while (this.markers.length && this.markers[0].t < start) this.markers.shift();
+  }
+
+  // [min, max] of the named values in the window, or null without any
+  range(keys) {
+    let min = Infinity, max = -Infinity;
+    for (const s of this.samples) {
+      for (const key of keys) {
+        const v = s[key];
+        if (typeof v !== "number" || !isFinite(v)) continue;
+        if (v < min) min = v;
+        if (v > max) max = v;
+      }
+    }
+    return min <= max ? [min, max] : null;
+  }
+}
@@ -0,0 +1,55 @@
+// Reference verifier for signed results (see signing.js). Runs in Node or a
+// browser; `server` is anything with consume(nonce) returning the issued
+// record { challengeSeed, policy, publicKey }, like StandInServer.
+// With the compact trace as well, the server reaches its own verdict
+// (see trace-validator.js) instead of trusting the client's.
+import { traceDigest } from "./compact-trace.js";
+import { DEFAULT_CONFIG } from "./config.js";
+import { drawChallenges, policyTimeLimitMs, resolvePolicy } from "./policy.js";
+import { seededRandom } from "./random.js";
+import { RESULT_VERSION, verifySignature } from "./signing.js";
+import { validateTrace } from "./trace-validator.js";
+
+// Slack on the policy time limit for frame timing and signing
+const TIME_SLACK_MS = 2000;
+
+const sameKey = (a, b) => !!a && !!b && a.kty === b.kty && a.crv === b.crv && a.x === b.x && a.y === b.y;
+
+// Returns { ok, reason, validation }; reason says which check failed,
+// validation is the trace validator's report when a trace was given
+export async function verifyResult(result, server, trace = null) {
+  const fail = (reason) => ({ ok: false, reason });
+  if (!result || result.v !== RESULT_VERSION) return fail("Unsupported result format");
+  if (!(await verifySignature(result))) return fail("Invalid signature");
+
+  const issued = server.consume(result.nonce);
+  if (!issued) return fail("Unknown, expired or already used nonce");
+  // Without a bound key any freshly generated key would sign a valid result
+  if (!issued.publicKey) return fail("No key registered for this nonce");
+  if (!sameKey(issued.publicKey, result.publicKey)) return fail("Signed with a key not registered for this nonce");
+
+  // The seed decides the sequence, so the server can rebuild it
+  const sequence = drawChallenges(issued.policy, seededRandom(issued.challengeSeed));
+  const expected = sequence.map(c => c.key);
+  const performed = result.challenges.map(c => c.type);
+  if (expected.join() !== performed.join()) return fail("Challenge sequence does not match the issued seed");
+
+  if (result.verdict !== "verified") return fail(`Session ended with verdict "${result.verdict}"`);
+  if (result.challenges.some(c => !c.outcome)) return fail("Not every challenge was completed");
+
+  const policy = resolvePolicy(issued.policy);
+  const limitMs = policyTimeLimitMs(policy, DEFAULT_CONFIG.timeLimitSec);
+  const spent = result.challenges.reduce((a, c) => a + (c.ms ?? 0), 0);
+  if (result.challenges.some(c => typeof c.ms !== "number" || c.ms < 0) || spent > result.durationMs) {
+    return fail("Implausible challenge timing");
+  }
+  if (limitMs > 0 && result.durationMs > limitMs + TIME_SLACK_MS) return fail("Session took longer than the time limit");
+
+  if (!trace) return { ok: true, reason: null, validation: null };
+  if (!result.traceSha256 || (await traceDigest(trace)) !== result.traceSha256) {
+    return fail("Trace does not match the signed result");
+  }
+  const validation = validateTrace(trace, { sequence, nonce: result.nonce });
+  if (validation.verdict !== "verified") return { ok: false, reason: validation.reasons[0], validation };
+  return { ok: true, reason: null, validation };
+}
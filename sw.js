@@ -0,0 +1,43 @@
+// Optional service worker that precaches the face model assets so the
+// check works offline after the first visit. Registered by
+// registerAssetServiceWorker() in src/assets.js, which passes the asset
+// URLs as repeated ?asset= parameters.
+
+const CACHE = "liveness-assets-v1";
+const assets = new URL(self.location.href).searchParams.getAll("asset");
+
+// The wasm loader may request sibling files, so match by directory as well
+const prefixes = assets.map(a => a.slice(0, a.lastIndexOf("/") + 1));
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then(cache => cache.addAll(assets))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith("liveness-assets-") && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const url = event.request.url;
+  if (event.request.method !== "GET") return;
+  if (!assets.includes(url) && !prefixes.some(p => url.startsWith(p))) return;
+
+  // Cache first: model assets are versioned by URL
+  event.respondWith(
+    caches.open(CACHE).then(async (cache) => {
+      const hit = await cache.match(event.request);
+      if (hit) return hit;
+      const res = await fetch(event.request);
+      if (res.ok) cache.put(event.request, res.clone());
+      return res;
+    })
+  );
+});
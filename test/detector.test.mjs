@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createChallenge } from "../src/challenges.js";
+import { DEFAULT_CONFIG } from "../src/config.js";
+import { ChallengeDetector } from "../src/detector.js";
+import { FRAME_MS, blinking, feed } from "./helpers.mjs";
+
+const TEST_CONFIG = { ...DEFAULT_CONFIG, debug: false };
+const ofType = (transitions, type) => transitions.filter(t => t.type === type);
+
+test("blinks are counted once calibration is done", () => {
+  const detector = new ChallengeDetector(TEST_CONFIG, [createChallenge("blink", { count: 2 })]);
+  const { transitions, state } = feed(detector, blinking([2000, 3000]), 4000);
+  assert.equal(ofType(transitions, "calibrated").length, 1);
+  assert.deepEqual(ofType(transitions, "blink").map(t => t.count), [1, 2]);
+  assert.equal(state, "completed");
+});
+
+test("a blink during calibration doesn't count towards the challenge", () => {
+  const detector = new ChallengeDetector(TEST_CONFIG, [createChallenge("blink", { count: 2 })]);
+  const { transitions, state } = feed(detector, blinking([600, 2000]), 3000);
+  assert.equal(ofType(transitions, "challengeCompleted").length, 0);
+  assert.equal(state, "challenge");
+});
+
+test("eyes closed for a single frame are not a blink", () => {
+  const detector = new ChallengeDetector(TEST_CONFIG, [createChallenge("blink", { count: 1 })]);
+  const { transitions } = feed(detector, blinking([2000], FRAME_MS), 3000);
+  assert.equal(ofType(transitions, "blink").length, 0);
+});
+
+test("a blink needs the eyes to open again before the next one", () => {
+  const detector = new ChallengeDetector(TEST_CONFIG, [createChallenge("blink", { count: 2 })]);
+  const { transitions, state } = feed(detector, blinking([2000], 1000), 4000);
+  assert.equal(ofType(transitions, "blink").length, 1);
+  assert.equal(state, "challenge");
+});
+
+test("a brief face drop after a long pause doesn't count the pause as face loss", () => {
+  const detector = new ChallengeDetector(TEST_CONFIG, [createChallenge("blink", { count: 1 })]);
+  feed(detector, blinking([]), 2000);
+  detector.resume(60000);
+  const transitions = [];
+  for (let t = 60000; t < 60300; t += FRAME_MS) transitions.push(...detector.noFace(t).transitions);
+  const { transitions: after, state } = feed(detector, blinking([62500]), 3500, 60300);
+  transitions.push(...after);
+  assert.deepEqual(ofType(transitions, "spoof"), []);
+  assert.equal(state, "completed");
+});
+
+// Yaw turned to `angle` degrees (left is negative) over `rampMs`, after 2 s
+// of neutral pose. The synthetic face is flat, so the 3D check is off.
+function turn(angle, params = {}, rampMs = 500, config = TEST_CONFIG) {
+  const detector = new ChallengeDetector(config, [createChallenge("turnLeft", { structureCheck: false, ...params })]);
+  const progress = (t) => (rampMs > 0 ? Math.min(1, Math.max(0, (t - 2000) / rampMs)) : Number(t >= 2000));
+  return { ...feed(detector, (t) => ({ yaw: angle * progress(t) }), 3500), detector };
+}
+
+test("a turn past the angle completes the challenge", () => {
+  const { transitions, state } = turn(-20, { angle: 15 });
+  assert.equal(ofType(transitions, "challengeCompleted").length, 1);
+  assert.equal(state, "completed");
+});
+
+test("a turn short of the angle doesn't", () => {
+  const { transitions, state } = turn(-12, { angle: 15 });
+  assert.equal(ofType(transitions, "challengeCompleted").length, 0);
+  assert.equal(state, "challenge");
+});
+
+test("a turn the other way doesn't", () => {
+  const { state } = turn(20, { angle: 15 });
+  assert.equal(state, "challenge");
+});
+
+test("a turn from one frame to the next is flagged as abrupt", () => {
+  const { state, detector } = turn(-20, { angle: 15 }, 0);
+  // With the risk score the flag only feeds it
+  assert.equal(state, "completed");
+  assert.match(detector.sequence[0].reaction.flag, /abrupt/i);
+});
+
+test("without the risk score an abrupt turn fails the run", () => {
+  const { transitions, state } = turn(-20, { angle: 15 }, 0, { ...TEST_CONFIG, riskScore: false });
+  const spoofs = ofType(transitions, "spoof");
+  assert.equal(spoofs.length, 1);
+  assert.match(spoofs[0].reason, /abrupt/i);
+  assert.equal(state, "failed");
+});
@@ -0,0 +1,133 @@
+// Scripted input for the tests (`npm test`).
+//
+// Frames are landmarker output for one synthetic face: the eye landmarks
+// open to a given EAR and the transformation matrix turns it by a given yaw,
+// so the detector runs exactly as it does on camera frames. Traces are
+// compact traces (see compact-trace.js) of a scripted person.
+import { CHALLENGE_TYPES, createChallenge } from "../src/challenges.js";
+import { CompactTraceRecorder } from "../src/compact-trace.js";
+import { DEFAULT_CONFIG } from "../src/config.js";
+import { ChallengeDetector } from "../src/detector.js";
+
+export const FRAME_MS = 33.3;
+export const OPEN_EAR = 0.3;
+export const CLOSED_EAR = 0.05;
+
+const LEFT_EYE = [33, 160, 158, 133, 153, 144];
+const RIGHT_EYE = [362, 385, 387, 263, 373, 380];
+
+// A face 0.4 wide whose eyes have an eye aspect ratio of `ear`
+function landmarks(ear) {
+  const lms = Array.from({ length: 478 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+  for (const [p1, p2, p3, p4, p5, p6] of [LEFT_EYE, RIGHT_EYE]) {
+    lms[p1] = { x: 0.4, y: 0.5, z: 0 };
+    lms[p4] = { x: 0.5, y: 0.5, z: 0 };
+    lms[p2] = { x: 0.43, y: 0.5 - ear * 0.05, z: 0 };
+    lms[p6] = { x: 0.43, y: 0.5 + ear * 0.05, z: 0 };
+    lms[p3] = { x: 0.47, y: 0.5 - ear * 0.05, z: 0 };
+    lms[p5] = { x: 0.47, y: 0.5 + ear * 0.05, z: 0 };
+  }
+  lms[0] = { x: 0.3, y: 0.3, z: 0 };
+  lms[1] = { x: 0.7, y: 0.8, z: 0 };
+  return lms;
+}
+
+// Column-major rotation about the vertical axis
+function yawMatrix(degrees) {
+  const a = (degrees * Math.PI) / 180;
+  return { data: [Math.cos(a), 0, Math.sin(a), 0, 0, 1, 0, 0, -Math.sin(a), 0, Math.cos(a), 0, 0, 0, 0, 1] };
+}
+
+export function frame(t, { ear = OPEN_EAR, yaw = 0 } = {}) {
+  return {
+    landmarks: landmarks(ear),
+    blendshapes: [{ categoryName: "jawOpen", score: 0.02 }],
+    matrix: yawMatrix(yaw),
+    timestamp: t
+  };
+}
+
+// Feeds `script(t)` (frame options for the frame at t) for `ms` of frames
+// starting at `from`; returns every transition and the last state
+export function feed(detector, script, ms, from = 0) {
+  const transitions = [];
+  let state = null;
+  for (let t = from; t < from + ms; t += FRAME_MS) {
+    const result = detector.update(frame(t, script(t)));
+    transitions.push(...result.transitions);
+    state = result.state;
+  }
+  return { transitions, state };
+}
+
+// Eyes closed for `closedMs` from each time in `blinks`
+export const blinking = (blinks, closedMs = 160) => (t) =>
+  ({ ear: blinks.some(b => t >= b && t < b + closedMs) ? CLOSED_EAR : OPEN_EAR });
+
+// Deterministic jitter source (Park-Miller), so traces are the same every run
+export function jitterSource(seed = 1) {
+  return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+// Detector metrics as ChallengeDetector.update() returns them
+export function metrics(t, { ear = OPEN_EAR, yaw = 0, pitch = 0 } = {}) {
+  return {
+    timestamp: t,
+    earL: ear,
+    earR: ear,
+    bounds: { w: 0.4 },
+    yaw,
+    pitch,
+    roll: 0,
+    jawOpen: 0.02,
+    blendshapes: { jawOpen: 0.02 },
+    landmarks: null,
+    skinColor: null
+  };
+}
+
+// Compact trace of a person doing [blink, turnLeft]: blinks at 2.5 s and
+// 4.5 s, a left turn from 7.5 s taking `turnMs`, and tracker jitter.
+// `pause` ({ from, to }) leaves out the frames in between, delaying the
+// turn by as much, and records it as a pause when `marked`.
+export function scriptedTrace(sequence, { nonce = "n1", blinkMs = 160, turnMs = 600, jitter = 0.3, pause = null, marked = true } = {}) {
+  const random = jitterSource();
+  const recorder = new CompactTraceRecorder();
+  recorder.begin(sequence, nonce);
+  const turnAt = pause ? 7500 + pause.to - pause.from : 7500;
+  let resumed = false;
+  for (let t = 0; t < turnAt + 3500; t += FRAME_MS) {
+    if (pause && t >= pause.from && t < pause.to) continue;
+    if (pause && t >= pause.to && !resumed) {
+      resumed = true;
+      if (marked) recorder.resume(t);
+    }
+    const { ear } = blinking([2500, 4500], blinkMs)(t);
+    const progress = Math.min(1, Math.max(0, (t - turnAt) / turnMs));
+    const yaw = -30 * (0.5 - 0.5 * Math.cos(Math.PI * progress)) + (random() - 0.5) * jitter * 2;
+    recorder.frame(t, metrics(t, { ear, yaw, pitch: (random() - 0.5) * jitter }));
+  }
+  return recorder.toJSON();
+}
+
+// Compact trace of a face lit by a flash challenge flashing `colors` with
+// or without `reducedFlash`: a client detector runs the challenge and each
+// frame's skin color is tinted by what it displays
+export function flashTrace(colors, { reducedFlash = false } = {}) {
+  const random = jitterSource();
+  const sequence = [createChallenge("flash", { sequence: colors })];
+  const config = { ...DEFAULT_CONFIG, reducedFlash, qualityGate: false, reactionCue: false, debug: false };
+  const detector = new ChallengeDetector(config, sequence);
+  const recorder = new CompactTraceRecorder();
+  recorder.begin(sequence, "n1", { reducedFlash });
+  for (let t = 0; detector.state !== "completed" && detector.state !== "failed" && t < 20000; t += FRAME_MS) {
+    const shown = detector.challengeState && CHALLENGE_TYPES.flash.display(detector.challengeState, sequence[0].params, detector, t);
+    const tint = shown ? shown.color.match(/\d+/g).map(v => v / 255) : [0, 0, 0];
+    const m = metrics(t, { yaw: (random() - 0.5) * 0.6, pitch: (random() - 0.5) * 0.3 });
+    m.skinColor = { r: 150 + 25 * tint[0], g: 110 + 25 * tint[1], b: 95 + 25 * tint[2] };
+    m.skinColorAt = t;
+    detector.updateMetrics(m);
+    recorder.frame(t, m);
+  }
+  return recorder.toJSON();
+}
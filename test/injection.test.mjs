@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { InjectionAnalyzer, sensorNoise } from "../src/injection.js";
+import { jitterSource } from "./helpers.mjs";
+
+// Pixel signals of `n` sampled frames, every `every`-th one a repeat of the
+// one before
+function sampled(n, { every = 0, noise = 2 } = {}) {
+  const injection = new InjectionAnalyzer();
+  for (let i = 0; i < n; i++) injection.pixels({ duplicate: every > 0 && i % every === 0, noise });
+  return injection.summary();
+}
+
+test("camera-like pixel signals are not flagged", () => {
+  const summary = sampled(100);
+  assert.deepEqual(summary.reasons, []);
+  assert.equal(summary.score, 1);
+});
+
+test("repeated frames and clean noise are flagged", () => {
+  assert.deepEqual(sampled(100, { every: 5 }).reasons, ["duplicateFrames"]);
+  const rendered = sampled(100, { noise: 0.1 });
+  assert.deepEqual(rendered.reasons, ["cleanNoise"]);
+  assert.ok(rendered.score < 1);
+});
+
+test("too few pixel samples aren't judged", () => {
+  const summary = sampled(20, { every: 2, noise: 0 });
+  assert.deepEqual(summary.reasons, []);
+  assert.equal(summary.score, null);
+});
+
+test("sensor noise tells a camera frame from a rendered one", () => {
+  const random = jitterSource();
+  const image = (amplitude) => ({ width: 64, height: 64, gray: Float32Array.from({ length: 64 * 64 }, () => 120 + (random() - 0.5) * amplitude) });
+  assert.ok(sensorNoise(image(0)) < 0.5);
+  assert.ok(sensorNoise(image(6)) > 0.5);
+});
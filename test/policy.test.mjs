@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { CHALLENGE_TYPES } from "../src/challenges.js";
+import { drawChallenges, resolvePolicy } from "../src/policy.js";
+import { seededRandom } from "../src/random.js";
+
+const POLICY = {
+  pool: [
+    { type: "blink", params: { count: 3 }, timeoutSec: 12 },
+    { type: "turnLeft", params: { angle: 20 }, timeoutSec: 12 },
+    { type: "turnRight", params: { angle: 20 }, timeoutSec: 12 },
+    { type: "mouth", timeoutSec: 12 },
+    { type: "forward", timeoutSec: 12 }
+  ],
+  draw: 3,
+  required: ["blink"],
+  notAdjacent: [["turnLeft", "turnRight"]]
+};
+
+// What a server compares: types, params and time limits
+const drawn = (policy, seed) => drawChallenges(policy, seededRandom(seed)).map(c => ({ type: c.key, params: c.params, timeoutSec: c.timeoutSec }));
+const seeds = Array.from({ length: 20 }, (_, i) => `seed-${i}`);
+
+test("the same seed draws the same sequence", () => {
+  for (const seed of seeds) assert.deepEqual(drawn(POLICY, seed), drawn(POLICY, seed));
+});
+
+test("different seeds draw different sequences", () => {
+  const sequences = new Set(seeds.map(seed => JSON.stringify(drawn(POLICY, seed))));
+  assert.ok(sequences.size > seeds.length / 2);
+});
+
+test("a draw follows the policy", () => {
+  for (const seed of seeds) {
+    const sequence = drawn(POLICY, seed);
+    const types = sequence.map(c => c.type);
+    assert.equal(types.length, POLICY.draw);
+    assert.ok(types.includes("blink"), `blink missing from ${types}`);
+    for (let i = 1; i < types.length; i++) {
+      assert.ok(!(types[i - 1].startsWith("turn") && types[i].startsWith("turn")), `${types} turns back to back`);
+    }
+    const blink = sequence.find(c => c.type === "blink");
+    assert.equal(blink.params.count, 3);
+    assert.equal(blink.timeoutSec, 12);
+  }
+});
+
+test("an accessibility profile swaps out what it rules out and stretches the time limits", () => {
+  const policy = { ...POLICY, accessibility: "motor" };
+  for (const seed of seeds) {
+    const sequence = drawn(policy, seed);
+    assert.equal(sequence.length, POLICY.draw);
+    for (const c of sequence) {
+      assert.ok(!CHALLENGE_TYPES[c.type].needs?.includes("head"), `${c.type} needs head movement`);
+      assert.equal(c.timeoutSec, 24);
+    }
+  }
+  // A swapped-in type runs on its own defaults, not the turn's angle
+  const swappedIn = resolvePolicy(policy).pool.filter(e => !POLICY.pool.some(p => p.type === e.type));
+  assert.ok(swappedIn.length > 0);
+  for (const entry of swappedIn) assert.equal(entry.params, undefined);
+});
+
+test("an invalid policy is rejected", () => {
+  assert.throws(() => resolvePolicy({ pool: [] }), /pool is empty/);
+  assert.throws(() => resolvePolicy({ pool: [{ type: "juggle" }] }), /Unknown challenge type/);
+  assert.throws(() => resolvePolicy({ ...POLICY, draw: 6 }), /draw must be between/);
+  assert.throws(() => resolvePolicy({ ...POLICY, required: ["smile"] }), /not in pool/);
+  assert.throws(() => resolvePolicy("extreme"), /Unknown policy preset/);
+});
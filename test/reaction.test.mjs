@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createChallenge } from "../src/challenges.js";
+import { ReactionTracker } from "../src/reaction.js";
+import { FRAME_MS, metrics } from "./helpers.mjs";
+
+// Reaction record and verdict of a left turn (15°) prompted at 1 s, with the
+// head at `yaw(t)` degrees (left is negative)
+function turnLeft(yaw) {
+  const tracker = new ReactionTracker();
+  const challenge = createChallenge("turnLeft");
+  for (let t = 0; t < 2000; t += FRAME_MS) {
+    if (t >= 1000 && !tracker.active) tracker.prompt(challenge, t);
+    const m = metrics(t, { yaw: yaw(t) });
+    tracker.observe(m);
+    tracker.update(m);
+  }
+  const record = tracker.complete();
+  return { record, verdict: tracker.verdict(record) };
+}
+
+// Linear from `from` degrees at `t0` to `to` at `t1`, flat outside
+const ramp = (t0, from, t1, to) => (t) => from + (to - from) * Math.min(1, Math.max(0, (t - t0) / (t1 - t0)));
+
+test("a turn some time after the prompt isn't flagged", () => {
+  const { record, verdict } = turnLeft(ramp(1300, 0, 1700, -20));
+  assert.equal(record.settled, true);
+  assert.ok(record.latencyMs > 250);
+  assert.equal(verdict, null);
+});
+
+test("a turn right on the prompt from a still face was anticipated", () => {
+  const { verdict } = turnLeft(ramp(1000, 0, 1300, -20));
+  assert.equal(verdict, "anticipated");
+});
+
+test("a turn already under way at the prompt is flagged", () => {
+  const { record, verdict } = turnLeft(ramp(800, 0, 1400, -20));
+  assert.equal(record.settled, false);
+  assert.ok(record.leadIn > 0);
+  assert.equal(verdict, "movingAtPrompt");
+});
+
+test("a face moving the other way at the prompt isn't flagged as under way", () => {
+  const yaw = (t) => (t < 1000 ? ramp(700, 0, 1000, 8)(t) : ramp(1000, 8, 1300, -20)(t));
+  const { record, verdict } = turnLeft(yaw);
+  assert.equal(record.settled, false);
+  assert.ok(record.leadIn < 0);
+  assert.equal(verdict, null);
+});
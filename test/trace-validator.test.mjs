@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createChallenge } from "../src/challenges.js";
+import { validateTrace } from "../src/trace-validator.js";
+import { flashTrace, scriptedTrace } from "./helpers.mjs";
+
+const sequence = () => [createChallenge("blink", {}, 12), createChallenge("turnLeft", {}, 12)];
+const validate = (options = {}, checks = { nonce: "n1" }) => validateTrace(scriptedTrace(sequence(), options), checks);
+
+test("a person's trace is accepted", () => {
+  const result = validate({}, { nonce: "n1", sequence: sequence() });
+  assert.deepEqual(result.reasons, []);
+  assert.equal(result.verdict, "verified");
+  assert.deepEqual(result.completed, ["blink", "turnLeft"]);
+  assert.equal(result.stats.blinks.length, 2);
+});
+
+test("another nonce or sequence is rejected", () => {
+  assert.deepEqual(validate({}, { nonce: "n2" }).reasons, ["Trace belongs to another nonce"]);
+  const issued = [createChallenge("blink", {}, 12), createChallenge("turnRight", {}, 12)];
+  assert.deepEqual(validate({}, { nonce: "n1", sequence: issued }).reasons, ["Challenge sequence differs from the one issued"]);
+});
+
+test("inhuman motion is rejected", () => {
+  const reasons = (options) => validate(options).reasons.join("\n");
+  assert.match(reasons({ blinkMs: 1000 }), /Implausible blink duration/);
+  // A turn from one frame to the next
+  assert.match(reasons({ turnMs: 10 }), /Head turns faster than a person can/);
+  assert.match(reasons({ jitter: 0 }), /Head pose has no natural jitter/);
+});
+
+test("a pause the client recorded is accepted", () => {
+  const result = validate({ pause: { from: 5000, to: 8000 } });
+  assert.deepEqual(result.reasons, []);
+  assert.ok(result.stats.pausedMs > 2900);
+});
+
+test("a gap without a recorded pause is rejected", () => {
+  const result = validate({ pause: { from: 5000, to: 8000 }, marked: false });
+  assert.equal(result.verdict, "rejected");
+  assert.match(result.reasons.join("\n"), /Gap of \d+ ms between frames/);
+});
+
+test("the light challenge is re-run with the timing the client flashed with", () => {
+  const trace = flashTrace(["red", "blue", "green", "yellow"], { reducedFlash: true });
+  assert.equal(trace.reducedFlash, true);
+  assert.deepEqual(validateTrace(trace).reasons, []);
+  // Normal timing expects the reflections elsewhere
+  assert.equal(validateTrace({ ...trace, reducedFlash: false }).verdict, "rejected");
+});
+
+test("an unfinished run is rejected", () => {
+  const trace = scriptedTrace(sequence());
+  trace.frames = trace.frames.filter(row => row[0] < 6000);
+  assert.deepEqual(validateTrace(trace).reasons, ["Challenges are not completed when re-run"]);
+});
+
+test("another trace format is rejected", () => {
+  const trace = scriptedTrace(sequence());
+  assert.deepEqual(validateTrace({ ...trace, v: 0 }).reasons, ["Unsupported trace format"]);
+  assert.deepEqual(validateTrace({ ...trace, fields: trace.fields.slice(1) }).reasons, ["Unexpected trace fields"]);
+  assert.deepEqual(validateTrace({ ...trace, frames: null }).reasons, ["Malformed trace"]);
+  assert.deepEqual(validateTrace({ ...trace, pauses: [1] }).reasons, ["Malformed trace"]);
+  assert.deepEqual(validateTrace({ ...trace, reducedFlash: "yes" }).reasons, ["Malformed trace"]);
+});
@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { QualityGate } from "../src/quality.js";
+import { RISK_DEFAULTS } from "../src/risk.js";
+import { groupTunables, mergeTuning } from "../src/tuning.js";
+
+test("threshold group sliders start at the defaults and cover them", () => {
+  const groups = groupTunables();
+  assert.deepEqual(Object.keys(groups), ["quality", "reaction", "risk", "injection", "frameRate"]);
+  assert.equal(groups.quality.minFaceSize.value, new QualityGate().config.minFaceSize);
+  assert.equal(groups.risk.accept.value, RISK_DEFAULTS.accept);
+  for (const thresholds of Object.values(groups)) {
+    for (const [name, { min, max, value }] of Object.entries(thresholds)) {
+      assert.ok(min <= value && value <= max, `${name} default ${value} outside ${min}..${max}`);
+    }
+  }
+});
+
+test("threshold groups merge per threshold and a null drops one", () => {
+  let overrides = mergeTuning({}, { quality: { minFaceSize: 0.3 } });
+  overrides = mergeTuning(overrides, { quality: { maxOffset: 0.2 }, calibrationMs: 900 });
+  assert.deepEqual(overrides, { quality: { minFaceSize: 0.3, maxOffset: 0.2 }, calibrationMs: 900 });
+  overrides = mergeTuning(overrides, { quality: { minFaceSize: null, maxOffset: null } });
+  assert.deepEqual(overrides, { calibrationMs: 900 });
+});
+
+test("challenge params merge per type and param", () => {
+  let overrides = mergeTuning({}, { challengeParams: { turnLeft: { angle: 12 } } });
+  overrides = mergeTuning(overrides, { challengeParams: { turnLeft: { holdMs: 200 }, blink: { count: 2 } } });
+  assert.deepEqual(overrides.challengeParams, { turnLeft: { angle: 12, holdMs: 200 }, blink: { count: 2 } });
+  overrides = mergeTuning(overrides, { challengeParams: { blink: { count: null } } });
+  assert.deepEqual(overrides.challengeParams, { turnLeft: { angle: 12, holdMs: 200 } });
+  assert.deepEqual(mergeTuning(overrides, { challengeParams: null }), {});
+});
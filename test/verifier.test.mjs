@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { traceDigest } from "../src/compact-trace.js";
+import { drawChallenges } from "../src/policy.js";
+import { seededRandom } from "../src/random.js";
+import { compactResult, createSessionKey, signResult } from "../src/signing.js";
+import { StandInServer } from "../src/stand-in-server.js";
+import { verifyResult } from "../src/verifier.js";
+import { scriptedTrace } from "./helpers.mjs";
+
+// The signed result of a run that did every challenge the issued seed drew
+async function signedRun({ nonce, challengeSeed, policy }, key, { trace = null, ...fields } = {}) {
+  const sequence = drawChallenges(policy, seededRandom(challengeSeed)).map(c => ({ ...c, done: true, durationMs: 2000 }));
+  const body = compactResult({
+    nonce,
+    verdict: "verified",
+    reason: null,
+    sequence,
+    scores: { screenReplay: 0.1, pulse: null, motion: 3 },
+    durationMs: sequence.length * 2000 + 1500,
+    traceSha256: trace ? await traceDigest(trace) : null,
+    ...fields
+  });
+  return signResult(body, key);
+}
+
+async function issueBound(server = new StandInServer()) {
+  const issued = server.issue();
+  const key = await createSessionKey();
+  server.bindKey(issued.nonce, key.publicKey);
+  return { server, issued, key };
+}
+
+test("a result signed with the bound key is accepted", async () => {
+  const { server, issued, key } = await issueBound();
+  assert.deepEqual(await verifyResult(await signedRun(issued, key), server), { ok: true, reason: null, validation: null });
+});
+
+test("a result for a nonce without a bound key is rejected", async () => {
+  const server = new StandInServer();
+  const issued = server.issue();
+  const result = await signedRun(issued, await createSessionKey());
+  assert.equal((await verifyResult(result, server)).reason, "No key registered for this nonce");
+});
+
+test("a result signed with another key is rejected", async () => {
+  const { server, issued } = await issueBound();
+  const result = await signedRun(issued, await createSessionKey());
+  assert.equal((await verifyResult(result, server)).reason, "Signed with a key not registered for this nonce");
+});
+
+test("a result edited after signing is rejected", async () => {
+  const { server, issued, key } = await issueBound();
+  const result = { ...(await signedRun(issued, key, { verdict: "spoof", reason: "screenReplay" })), verdict: "verified" };
+  assert.equal((await verifyResult(result, server)).reason, "Invalid signature");
+});
+
+test("a nonce is good for one result", async () => {
+  const { server, issued, key } = await issueBound();
+  const result = await signedRun(issued, key);
+  assert.equal((await verifyResult(result, server)).ok, true);
+  assert.equal((await verifyResult(result, server)).reason, "Unknown, expired or already used nonce");
+});
+
+test("challenges other than the issued seed's are rejected", async () => {
+  const { server, issued, key } = await issueBound();
+  const order = (seed) => drawChallenges(issued.policy, seededRandom(seed)).map(c => c.key).join();
+  const otherSeed = Array.from({ length: 20 }, (_, i) => `seed-${i}`).find(seed => order(seed) !== order(issued.challengeSeed));
+  const result = await signedRun({ ...issued, challengeSeed: otherSeed }, key);
+  assert.equal((await verifyResult(result, server)).reason, "Challenge sequence does not match the issued seed");
+});
+
+test("a verdict other than verified is rejected", async () => {
+  const { server, issued, key } = await issueBound();
+  const result = await signedRun(issued, key, { verdict: "review", reason: "lowMotion" });
+  assert.equal((await verifyResult(result, server)).reason, 'Session ended with verdict "review"');
+});
+
+test("a run longer than the time limit is rejected", async () => {
+  const { server, issued, key } = await issueBound();
+  const result = await signedRun(issued, key, { durationMs: 10 * 60 * 1000 });
+  assert.equal((await verifyResult(result, server)).reason, "Session took longer than the time limit");
+});
+
+// A server record whose seed draws blink before turnLeft, the order
+// scriptedTrace() performs them in
+function traceRecord(key) {
+  const policy = { pool: [{ type: "blink", timeoutSec: 12 }, { type: "turnLeft", timeoutSec: 12 }] };
+  const challengeSeed = Array.from({ length: 20 }, (_, i) => `seed-${i}`)
+    .find(seed => drawChallenges(policy, seededRandom(seed))[0].key === "blink");
+  const record = { nonce: "n1", challengeSeed, policy, publicKey: key.publicKey };
+  const server = { consume: (nonce) => (nonce === record.nonce ? record : null) };
+  return { server, record, trace: scriptedTrace(drawChallenges(policy, seededRandom(challengeSeed))) };
+}
+
+test("the trace has to match the signed digest and pass the validator", async () => {
+  const key = await createSessionKey();
+  const { server, record, trace } = traceRecord(key);
+  const result = await signedRun(record, key, { trace });
+
+  const accepted = await verifyResult(result, server, trace);
+  assert.equal(accepted.ok, true);
+  assert.equal(accepted.validation.verdict, "verified");
+
+  const edited = { ...trace, frames: trace.frames.slice(1) };
+  assert.equal((await verifyResult(result, server, edited)).reason, "Trace does not match the signed result");
+
+  const inhuman = scriptedTrace(trace.sequence.map(c => ({ key: c.type, params: c.params, timeoutSec: c.timeoutSec })), { jitter: 0 });
+  const rejected = await verifyResult(await signedRun(record, key, { trace: inhuman }), server, inhuman);
+  assert.equal(rejected.ok, false);
+  assert.equal(rejected.reason, "Head pose has no natural jitter");
+});